@@ -0,0 +1,136 @@
+// secure-messaging-auth.js
+const crypto = require('crypto');
+
+// Requests signed further than this from the server clock are rejected
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Build the string covered by a request signature
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {number} deviceId - Device making the request
+ * @param {number} timestamp - Signing time in ms
+ * @param {string} nonce - Random per-request nonce
+ * @param {string} body - Raw request body
+ * @returns {string} Canonical payload
+ */
+function getAuthPayload(method, path, deviceId, timestamp, nonce, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return [method.toUpperCase(), path, deviceId, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Create the authentication headers for a request, signed with the
+ * device's identity key
+ * @param {string} userId - User making the request
+ * @param {number} deviceId - Device making the request (0 for a device that is not linked yet)
+ * @param {string} privateKey - Device identity private key (PEM)
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {string} body - Raw request body
+ * @returns {Object} Headers to add to the request
+ */
+function createAuthHeaders(userId, deviceId, privateKey, method, path, body) {
+  const timestamp = Date.now();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const payload = getAuthPayload(method, path, deviceId, timestamp, nonce, body);
+  
+  return {
+    'X-Auth-User': userId,
+    'X-Auth-Device': String(deviceId),
+    'X-Auth-Timestamp': String(timestamp),
+    'X-Auth-Nonce': nonce,
+    'X-Auth-Signature': crypto.sign(null, Buffer.from(payload), privateKey).toString('base64')
+  };
+}
+
+/**
+ * NonceCache - Remembers nonces until their timestamps fall out of the
+ * accepted window, so a signed request cannot be replayed
+ */
+class NonceCache {
+  constructor() {
+    this.nonces = new Map();
+  }
+
+  /**
+   * Record a nonce
+   * @param {string} nonce - Nonce from the request
+   * @returns {boolean} False if the nonce was already seen
+   */
+  add(nonce) {
+    const now = Date.now();
+    
+    // Entries are inserted in expiry order, so stop at the first live one
+    for (const [seenNonce, expiresAt] of this.nonces) {
+      if (expiresAt >= now) {
+        break;
+      }
+      this.nonces.delete(seenNonce);
+    }
+    
+    if (this.nonces.has(nonce)) {
+      return false;
+    }
+    
+    this.nonces.set(nonce, now + 2 * MAX_CLOCK_SKEW);
+    return true;
+  }
+}
+
+/**
+ * Check the authentication headers of an incoming request
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {string} body - Raw request body
+ * @param {string} userId - User the request must be made by
+ * @param {number} deviceId - Device the request must be made by
+ * @param {string} identityKey - That device's identity public key (PEM)
+ * @param {NonceCache} nonceCache - Cache of nonces already used
+ * @returns {string|null} Reason the request is rejected, or null if it is valid
+ */
+function getAuthError(headers, method, path, body, userId, deviceId, identityKey, nonceCache) {
+  const authUser = headers['x-auth-user'];
+  const authDevice = Number(headers['x-auth-device']);
+  const timestamp = Number(headers['x-auth-timestamp']);
+  const nonce = headers['x-auth-nonce'];
+  const signature = headers['x-auth-signature'];
+  
+  if (!authUser || !timestamp || !nonce || !signature) {
+    return 'Missing authentication headers';
+  }
+  
+  if (authUser !== userId || authDevice !== deviceId) {
+    return 'Request not authorized for this user';
+  }
+  
+  if (Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW) {
+    return 'Request timestamp outside the accepted window';
+  }
+  
+  const payload = getAuthPayload(method, path, authDevice, timestamp, nonce, body);
+  let isValid = false;
+  try {
+    isValid = crypto.verify(null, Buffer.from(payload), identityKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    isValid = false;
+  }
+  
+  if (!isValid) {
+    return 'Invalid request signature';
+  }
+  
+  // Only remember nonces of correctly signed requests
+  if (!nonceCache.add(`${userId}:${nonce}`)) {
+    return 'Replayed request';
+  }
+  
+  return null;
+}
+
+module.exports = {
+  NonceCache,
+  createAuthHeaders,
+  getAuthError
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+// secure-messaging-blob-store.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Blob IDs are random hex, which also keeps them safe to use as file names
+const BLOB_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Uploads that are still incomplete after this long are discarded
+const DEFAULT_UPLOAD_TIMEOUT = 24 * 60 * 60 * 1000;
+
+/**
+ * BlobStore - Encrypted attachment blobs kept as files on disk. Each blob
+ * has a data file that uploads append to, and a small metadata file written
+ * once when the upload starts. The data file's length is the upload
+ * progress, so an interrupted upload can always continue where it stopped.
+ *
+ * The server never sees attachment keys; blobs are opaque ciphertext.
+ */
+class BlobStore {
+  /**
+   * @param {string} directory - Directory holding the blob files
+   * @param {Object} options - Optional settings
+   * @param {number} options.uploadTimeout - Time in ms after which incomplete uploads are discarded
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.uploadTimeout = options.uploadTimeout || DEFAULT_UPLOAD_TIMEOUT;
+    
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+  }
+
+  /**
+   * Get the path of one of a blob's files
+   * @param {string} blobId - Blob ID
+   * @param {string} extension - 'blob' for the data, 'json' for the metadata
+   * @returns {string} File path
+   */
+  getPath(blobId, extension) {
+    if (!BLOB_ID_PATTERN.test(blobId)) {
+      throw new Error('Invalid blob ID');
+    }
+    return path.join(this.directory, `${blobId}.${extension}`);
+  }
+
+  /**
+   * Start a new blob
+   * @param {string} owner - User uploading the blob
+   * @param {number} size - Total size in bytes the upload will have
+   * @param {number} expiresAt - Time in ms after which the blob is deleted
+   * @returns {string} Blob ID
+   */
+  create(owner, size, expiresAt) {
+    const blobId = crypto.randomBytes(16).toString('hex');
+    const metadata = { blobId, owner, size, createdAt: Date.now(), expiresAt };
+    
+    fs.writeFileSync(this.getPath(blobId, 'blob'), Buffer.alloc(0), { mode: 0o600 });
+    fs.writeFileSync(this.getPath(blobId, 'json'), JSON.stringify(metadata), { mode: 0o600 });
+    
+    return blobId;
+  }
+
+  /**
+   * Get a blob's metadata and upload progress
+   * @param {string} blobId - Blob ID
+   * @returns {Object|null} Metadata including the bytes received so far
+   */
+  get(blobId) {
+    if (typeof blobId !== 'string' || !BLOB_ID_PATTERN.test(blobId)) {
+      return null;
+    }
+    
+    try {
+      const metadata = JSON.parse(fs.readFileSync(this.getPath(blobId, 'json'), 'utf8'));
+      return { ...metadata, received: fs.statSync(this.getPath(blobId, 'blob')).size };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Append the next chunk of an upload
+   * @param {string} blobId - Blob ID
+   * @param {number} offset - Position of the chunk, which must be the bytes received so far
+   * @param {Buffer} data - Chunk contents
+   * @returns {number} Bytes received after the chunk
+   */
+  append(blobId, offset, data) {
+    const blob = this.get(blobId);
+    if (!blob || offset !== blob.received || offset + data.length > blob.size) {
+      throw new Error('Chunk does not continue the upload');
+    }
+    
+    fs.appendFileSync(this.getPath(blobId, 'blob'), data);
+    return offset + data.length;
+  }
+
+  /**
+   * Read part of a blob
+   * @param {string} blobId - Blob ID
+   * @param {number} offset - First byte to read
+   * @param {number} length - Maximum number of bytes to read
+   * @returns {Buffer} Bytes read, shorter than length at the end of the blob
+   */
+  read(blobId, offset, length) {
+    const fd = fs.openSync(this.getPath(blobId, 'blob'), 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      const bytesRead = fs.readSync(fd, buffer, 0, length, offset);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Delete a blob
+   * @param {string} blobId - Blob ID
+   */
+  remove(blobId) {
+    fs.rmSync(this.getPath(blobId, 'blob'), { force: true });
+    fs.rmSync(this.getPath(blobId, 'json'), { force: true });
+  }
+
+  /**
+   * Delete expired blobs and abandoned uploads
+   * @param {number} now - Current time in ms
+   * @returns {number} Number of blobs deleted
+   */
+  purgeExpired(now) {
+    let removed = 0;
+    
+    for (const file of fs.readdirSync(this.directory)) {
+      const blob = file.endsWith('.json') ? this.get(path.basename(file, '.json')) : null;
+      if (!blob) {
+        continue;
+      }
+      
+      const abandoned = blob.received < blob.size && blob.createdAt + this.uploadTimeout <= now;
+      if (blob.expiresAt <= now || abandoned) {
+        this.remove(blob.blobId);
+        removed += 1;
+      }
+    }
+    
+    return removed;
+  }
+}
+
+module.exports = {
+  BlobStore
+};
\ No newline at end of file
@@ -1,33 +1,206 @@
 // secure-messaging-client.js (With Session Persistence)
-const { SecureMessaging } = require('./secure-messaging-system');
+const {
+  SecureMessaging,
+  ReplayError,
+  PRIMARY_DEVICE_ID,
+  getAddress,
+  getContactHash,
+  isValidPayload
+} = require('./secure-messaging-system');
+const { Keystore } = require('./secure-messaging-keystore');
+const { createAuthHeaders } = require('./secure-messaging-auth');
+const { TrustStore, IdentityChangedError, RevokedIdentityError, computeSafetyNumber } = require('./secure-messaging-trust-store');
+const { MessageHistory, getGroupConversationId, getConversationGroupId } = require('./secure-messaging-history');
+const { ContactList } = require('./secure-messaging-contacts');
+const { loadConfig, getPublicKeyPin } = require('./secure-messaging-config');
+const { ApiError, ServerError, createApiError } = require('./secure-messaging-errors');
 const readline = require('readline');
 const crypto = require('crypto');
 const http = require('http');
+const https = require('https');
+const tls = require('tls');
 const fs = require('fs');
 const path = require('path');
 
-// Server configuration
-const SERVER_URL = 'http://localhost:3000';
+// Server used when none is configured
+const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+// Settings of the interactive client, read from a config file, the
+// environment or the command line. An https server can be trusted through a
+// CA (or its self-signed certificate) and pinned by its public key. --device
+// <name> keeps a separate keystore; --link adds it to an existing account.
+// --certificate-key names the server's sender certificate key; without it
+// the key the server first reports is trusted from then on.
+const CLIENT_SETTINGS = {
+  serverUrl: { flag: '--server', env: 'SECURE_MESSAGING_SERVER_URL', default: DEFAULT_SERVER_URL },
+  ca: { flag: '--ca', env: 'SECURE_MESSAGING_CA', type: 'path' },
+  pins: { flag: '--pin', env: 'SECURE_MESSAGING_PINS', type: 'list', default: [] },
+  certificateKey: { flag: '--certificate-key', env: 'SECURE_MESSAGING_CERTIFICATE_KEY', type: 'path' },
+  device: { flag: '--device' },
+  link: { flag: '--link', type: 'boolean', default: false }
+};
+
+// Top up one-time pre-keys on the server when fewer than this many are left
+const PREKEY_LOW_WATER_MARK = 10;
+const PREKEY_BATCH_SIZE = 50;
+
+// A sender certificate is fetched again when it has less than this left
+const SENDER_CERTIFICATE_MIN_LIFETIME = 60 * 60 * 1000;
+
+// How often the interactive client checks whether the signed pre-key is due for rotation
+const SIGNED_PRE_KEY_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// How often the interactive client deletes expired messages and history past
+// its retention, and how many messages "history" shows by default
+const HISTORY_PRUNE_INTERVAL = 5 * 1000;
+const DEFAULT_HISTORY_LENGTH = 20;
+
+// Disappearing message timers: the shortest one, and the longest, which is
+// also how long the server may queue a message
+const MIN_DISAPPEARING_TIMER = 10 * 1000;
+const MAX_DISAPPEARING_TIMER = 4 * 7 * 24 * 60 * 60 * 1000;
+
+// Payload types users see, as opposed to control messages
+const USER_CONTENT_TYPES = ['text', 'attachment', 'reaction', 'edit', 'delete'];
+
+// Quoted messages are cut to this many characters when printed
+const QUOTE_LENGTH = 30;
+
+// Units accepted and shown for timer durations, largest first
+const DURATION_UNITS = [
+  ['w', 7 * 24 * 60 * 60 * 1000],
+  ['d', 24 * 60 * 60 * 1000],
+  ['h', 60 * 60 * 1000],
+  ['m', 60 * 1000],
+  ['s', 1000]
+];
+
+// How many sent messages we keep delivery status for
+const MAX_TRACKED_SENT_MESSAGES = 500;
+
+// Attachments: largest file we send (leaving room under the server's blob
+// limit for the IV and tag), transfer chunk size, and how many received
+// attachments we remember so they can be saved later
+const MAX_ATTACHMENT_SIZE = 100 * 1024 * 1024 - 1024;
+
+// An encrypted attachment blob is the file plus a 12-byte IV and 16-byte tag
+const ATTACHMENT_BLOB_OVERHEAD = 12 + 16;
+const ATTACHMENT_CHUNK_SIZE = 256 * 1024;
+const MAX_TRACKED_ATTACHMENTS = 500;
+
+// Failed chunk transfers are retried this many times, waiting longer each time
+const TRANSFER_MAX_RETRIES = 5;
+const TRANSFER_RETRY_DELAY = 1000;
+
+// Saved attachments never replace a file; we try "name (1).ext" up to this number
+const MAX_FILE_NAME_SUFFIX = 1000;
+
+// Reconnect delays for the event stream, doubled after each failed attempt
+const EVENT_STREAM_MIN_BACKOFF = 1000;
+const EVENT_STREAM_MAX_BACKOFF = 30 * 1000;
+
+// The server sends a heartbeat every 25 seconds; silence for longer than this means the stream is dead
+const EVENT_STREAM_IDLE_TIMEOUT = 60 * 1000;
+
+// A device waiting to be linked asks the server this often whether it was approved
+const LINK_POLL_INTERVAL = 2000;
+
+// Requests from a device that has not been linked yet are signed as device 0
+const UNLINKED_DEVICE_ID = 0;
+
+// Contact hashes sent per discovery request (the server's limit)
+const DISCOVERY_BATCH_SIZE = 500;
+
+// A session that fails to decrypt is reset automatically at most this often
+// per peer device, so two devices cannot keep resetting each other
+const SESSION_RESET_INTERVAL = 60 * 1000;
+
+/**
+ * Work out how to reach the server
+ * @param {string} serverUrl - Server URL, http or https
+ * @param {Object} options - TLS settings, for https only
+ * @param {string|Buffer} options.ca - Certificate authority (or self-signed certificate) to trust
+ * @param {string[]} options.pins - Accepted public key pins (base64 SHA-256 of the key); when set, no other key is accepted
+ * @returns {Object} Server origin, transport module and base request options
+ */
+function getServerEndpoint(serverUrl, options = {}) {
+  let url;
+  try {
+    url = new URL(serverUrl);
+  } catch (error) {
+    throw new Error(`Invalid server URL: ${serverUrl}`);
+  }
+  
+  const secure = url.protocol === 'https:';
+  const pins = options.pins || [];
+  
+  if (!secure && url.protocol !== 'http:') {
+    throw new Error(`Server URL must use http or https: ${serverUrl}`);
+  }
+  if (url.pathname !== '/' || url.search) {
+    throw new Error(`Server URL must not have a path: ${serverUrl}`);
+  }
+  if (!secure && (options.ca || pins.length > 0)) {
+    throw new Error('A CA or pinned key needs an https server URL');
+  }
+  
+  const requestOptions = {
+    hostname: url.hostname.replace(/^\[|\]$/g, ''),
+    port: url.port || (secure ? 443 : 80)
+  };
+  
+  if (options.ca) {
+    requestOptions.ca = options.ca;
+  }
+  if (pins.length > 0) {
+    // Called after the certificate chain checks out; rejects any other key
+    requestOptions.checkServerIdentity = (hostname, certificate) => {
+      const error = tls.checkServerIdentity(hostname, certificate);
+      if (error) {
+        return error;
+      }
+      
+      const pin = getPublicKeyPin(certificate.raw);
+      return pins.includes(pin) ? undefined : new Error(`Server key ${pin} does not match a pinned key`);
+    };
+  }
+  
+  return { origin: url.origin, transport: secure ? https : http, requestOptions };
+}
+
+/**
+ * Get the API path of a user
+ * @param {string} userId - User ID
+ * @returns {string} Path of the user resource
+ */
+function getUserPath(userId) {
+  return `/v1/users/${encodeURIComponent(userId)}`;
+}
 
 /**
  * Make an HTTP request to the server
+ * @param {Object} server - Server endpoint from getServerEndpoint
  * @param {string} endpoint - API endpoint
  * @param {Object} data - Data to send
- * @returns {Promise<Object>} Server response
+ * @param {string} method - HTTP method
+ * @param {Object} auth - Optional signer ({ userId, deviceId, privateKey }) for authenticated routes
+ * @returns {Promise<Object>} Server response; error responses reject with the
+ *   ApiError subclass of their code, e.g. NotFoundError for user_not_found
  */
-async function makeRequest(endpoint, data = null, method = 'POST') {
+async function makeRequest(server, endpoint, data = null, method = 'POST', auth = null) {
   return new Promise((resolve, reject) => {
+    const body = data ? JSON.stringify(data) : '';
     const options = {
-      hostname: 'localhost',
-      port: 3000,
+      ...server.requestOptions,
       path: endpoint,
       method: method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(auth ? createAuthHeaders(auth.userId, auth.deviceId, auth.privateKey, method, endpoint, body) : {})
       }
     };
     
-    const req = http.request(options, (res) => {
+    const req = server.transport.request(options, (res) => {
       let responseData = '';
       
       res.on('data', (chunk) => {
@@ -35,16 +208,27 @@ async function makeRequest(endpoint, data = null, method = 'POST') {
       });
       
       res.on('end', () => {
+        let parsedData;
         try {
-          const parsedData = JSON.parse(responseData);
-          if (res.statusCode >= 200 && res.statusCode < 300) {
+          parsedData = JSON.parse(responseData);
+        } catch (error) {
+          parsedData = null;
+        }
+        
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          if (parsedData) {
             resolve(parsedData);
           } else {
-            reject(new Error(parsedData.error || 'Request failed'));
+            reject(new Error('Failed to parse response'));
           }
-        } catch (error) {
-          reject(new Error('Failed to parse response'));
+          return;
         }
+        
+        const { code, error } = parsedData || {};
+        reject(createApiError(code, error || `Request failed with status ${res.statusCode}`, {
+          statusCode: res.statusCode,
+          retryAfter: Number(res.headers['retry-after']) || null
+        }));
       });
     });
     
@@ -52,293 +236,2815 @@ async function makeRequest(endpoint, data = null, method = 'POST') {
       reject(new Error(`Request error: ${error.message}`));
     });
     
-    if (data) {
-      req.write(JSON.stringify(data));
+    if (body) {
+      req.write(body);
     }
     
     req.end();
   });
 }
 
+/**
+ * Hash a delivery token for registration with the server
+ * @param {string} deliveryToken - Delivery token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashDeliveryToken(deliveryToken) {
+  return crypto.createHash('sha256').update(deliveryToken).digest('hex');
+}
+
+/**
+ * Write data to a new file, adding " (1)", " (2)", ... before the extension
+ * while the name is taken
+ * @param {string} filePath - Preferred path
+ * @param {Buffer} data - File contents
+ * @returns {string} Path the file was written to
+ */
+function writeNewFile(filePath, data) {
+  const { dir, name, ext } = path.parse(filePath);
+  
+  for (let suffix = 0; suffix <= MAX_FILE_NAME_SUFFIX; suffix++) {
+    const candidate = suffix === 0 ? filePath : path.join(dir, `${name} (${suffix})${ext}`);
+    try {
+      fs.writeFileSync(candidate, data, { mode: 0o600, flag: 'wx' });
+      return candidate;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+  
+  throw new Error(`Could not find a free file name for ${filePath}`);
+}
+
 /**
  * SecureMessagingClient - A client interface for the secure messaging system
  */
 class SecureMessagingClient {
-  constructor(userId) {
+  /**
+   * @param {string} userId - Local user ID
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.sealedSender - Hide our identity from the server when possible (default true)
+   * @param {boolean} options.readReceipts - Tell senders when we have read their messages (default true)
+   * @param {string} options.keystorePath - Keystore location, so several devices of a user can run side by side
+   * @param {string} options.historyPath - Message history location
+   * @param {string} options.legacySessionsPath - Plaintext sessions file written by older versions, moved
+   *   into the keystore on initialize
+   * @param {string} options.serverUrl - Server URL (default http://localhost:3000)
+   * @param {string|Buffer} options.ca - For https servers: certificate authority or self-signed certificate to trust
+   * @param {string[]} options.pins - For https servers: public key pins the server must match
+   * @param {string} options.certificateKey - Server key that signs sender certificates (default: the key
+   *   the server reports the first time)
+   */
+  constructor(userId, options = {}) {
     this.userId = userId;
+    this.server = getServerEndpoint(options.serverUrl || DEFAULT_SERVER_URL, { ca: options.ca, pins: options.pins });
+    this.deviceId = null;
+    this.sealedSender = options.sealedSender !== false;
+    this.readReceipts = options.readReceipts !== false;
     this.messaging = new SecureMessaging();
+    
+    // Session IDs by device address ("<userId>.<deviceId>")
     this.activeSessions = new Map();
-    this.sessionFilePath = path.join(__dirname, `${userId}-sessions.json`);
+    this.trustStore = new TrustStore();
+    this.contacts = new ContactList();
+    
+    // Our delivery token, and the tokens peers shared with us for sealed sending
+    this.deliveryToken = null;
+    this.peerDeliveryTokens = new Map();
+    
+    // The server key that vouches for sealed senders, and our own certificate
+    this.certificateKey = options.certificateKey ? String(options.certificateKey) : null;
+    this.pinnedCertificateKey = Boolean(options.certificateKey);
+    this.senderCertificate = null;
+    
+    // Status of messages we sent, updated by the recipients' receipts
+    this.sentMessages = new Map();
+    
+    // Attachments we received, by message ID, until they are saved
+    this.receivedAttachments = new Map();
+    
+    // Disappearing message timers in ms, by peer user ID
+    this.disappearingTimers = new Map();
+    
+    // ID of the signed pre-key the server has; a rotation whose upload
+    // failed is published again until this catches up
+    this.publishedSignedPreKeyId = null;
+    
+    // When we last reset the session with each device address
+    this.sessionResets = new Map();
+    
+    // Push delivery state
+    this.eventStream = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = EVENT_STREAM_MIN_BACKOFF;
+    this.onMessages = null;
+    this.receiving = Promise.resolve();
+    this.keystore = new Keystore(options.keystorePath || path.join(__dirname, `${userId}-keystore.json`));
+    this.history = new MessageHistory(options.historyPath || path.join(__dirname, `${userId}-history.json`));
+    this.legacySessionsPath = options.legacySessionsPath || path.join(__dirname, `${userId}-sessions.json`);
+    
+    // Sessions migrated from the plaintext file, kept encrypted but no longer used
+    this.legacySessions = null;
+  }
+
+  /**
+   * Make a request signed with this device's identity key
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Data to send
+   * @param {string} method - HTTP method
+   * @returns {Promise<Object>} Server response
+   */
+  async authenticatedRequest(endpoint, data = null, method = 'POST') {
+    return makeRequest(this.server, endpoint, data, method, {
+      userId: this.userId,
+      deviceId: this.deviceId,
+      privateKey: this.messaging.identityKeyPair.privateKey
+    });
   }
 
   /**
-   * Save sessions to a file
+   * Save identity, pre-keys and sessions to the encrypted keystore
    */
-  saveSessionsToFile() {
+  saveState() {
     try {
-      // Convert Map to object for serialization
-      const sessions = {};
-      this.activeSessions.forEach((sessionId, userId) => {
-        sessions[userId] = sessionId;
-      });
-      
-      // Get session keys from the messaging instance
-      const sessionData = {
-        sessions,
-        sessionKeys: Array.from(this.messaging.sessionKeys.entries())
-      };
-      
-      fs.writeFileSync(this.sessionFilePath, JSON.stringify(sessionData), 'utf8');
+      this.keystore.save(this.getState());
     } catch (error) {
-      console.error(`Failed to save sessions: ${error.message}`);
+      console.error(`Failed to save state: ${error.message}`);
     }
   }
 
   /**
-   * Load sessions from a file
+   * Collect everything the keystore holds
+   * @returns {Object} State to store
    */
-  loadSessionsFromFile() {
-    try {
-      if (fs.existsSync(this.sessionFilePath)) {
-        const data = JSON.parse(fs.readFileSync(this.sessionFilePath, 'utf8'));
-        
-        // Restore sessions
-        this.activeSessions = new Map(Object.entries(data.sessions || {}));
-        
-        // Restore session keys in the messaging instance
-        if (data.sessionKeys) {
-          this.messaging.sessionKeys = new Map(data.sessionKeys);
+  getState() {
+    return {
+      userId: this.userId,
+      deviceId: this.deviceId,
+      activeSessions: Array.from(this.activeSessions.entries()),
+      trustedIdentities: this.trustStore.export(),
+      contacts: this.contacts.export(),
+      deliveryToken: this.deliveryToken,
+      peerDeliveryTokens: Array.from(this.peerDeliveryTokens.entries()),
+      certificateKey: this.certificateKey,
+      sentMessages: Array.from(this.sentMessages.entries()),
+      receivedAttachments: Array.from(this.receivedAttachments.entries()),
+      disappearingTimers: Array.from(this.disappearingTimers.entries()),
+      publishedSignedPreKeyId: this.publishedSignedPreKeyId,
+      legacySessions: this.legacySessions,
+      messaging: this.messaging.exportState()
+    };
+  }
+
+  /**
+   * Load identity, pre-keys and sessions from the encrypted keystore
+   */
+  loadState() {
+    const state = this.keystore.load();
+    
+    // Keystores from before multi-device support belong to the primary
+    // device and key their sessions by user ID alone
+    this.deviceId = state.deviceId || PRIMARY_DEVICE_ID;
+    this.activeSessions = new Map(state.deviceId ? state.activeSessions :
+      state.activeSessions.map(([userId, sessionId]) => [getAddress(userId, PRIMARY_DEVICE_ID), sessionId]));
+    this.trustStore = new TrustStore(state.trustedIdentities);
+    this.contacts = new ContactList(state.contacts);
+    this.deliveryToken = state.deliveryToken || null;
+    this.peerDeliveryTokens = new Map(state.peerDeliveryTokens || []);
+    if (!this.pinnedCertificateKey) {
+      this.certificateKey = state.certificateKey || null;
+    }
+    this.sentMessages = new Map(state.sentMessages || []);
+    this.receivedAttachments = new Map(state.receivedAttachments || []);
+    this.disappearingTimers = new Map(state.disappearingTimers || []);
+    this.publishedSignedPreKeyId = state.publishedSignedPreKeyId || null;
+    this.legacySessions = state.legacySessions || null;
+    this.messaging.importState(state.messaging);
+    
+    console.log('Keys and sessions loaded from keystore');
+  }
+
+  /**
+   * Initialize the client, reusing the identity from the keystore if one exists
+   * @param {string} passphrase - Passphrase protecting the local keystore
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onLinkCode - Set to add a new device to an existing account; called with
+   *   the code to approve on the primary device
+   */
+  async initialize(passphrase, options = {}) {
+    this.keystore.unlock(passphrase);
+    this.history.unlock(passphrase);
+    
+    if (this.keystore.exists()) {
+      this.loadState();
+      this.migrateLegacySessions();
+      
+      // Only register again if the server has lost this device
+      if (await this.isRegistered()) {
+        console.log(`Client ${this.userId} initialized on device ${this.deviceId}`);
+        if (!this.deliveryToken) {
+          await this.publishDeliveryToken();
         }
-        
-        console.log('Session data loaded from file');
+        await this.replenishPreKeys();
+        await this.rotateSignedPreKeyIfDue();
+        return;
       }
-    } catch (error) {
-      console.error(`Failed to load sessions: ${error.message}`);
+    } else {
+      await this.messaging.initialize();
+      
+      if (options.onLinkCode) {
+        await this.requestLink(options.onLinkCode);
+      } else {
+        this.deviceId = PRIMARY_DEVICE_ID;
+      }
+      
+      this.migrateLegacySessions();
+    }
+    
+    await this.register();
+  }
+
+  /**
+   * Move the plaintext sessions file of older versions into the keystore and
+   * delete it. Its static session keys predate the ratchet and cannot be
+   * resumed, but they are kept so nothing the user had is lost.
+   */
+  migrateLegacySessions() {
+    if (!fs.existsSync(this.legacySessionsPath)) {
+      return;
     }
+    
+    const data = JSON.parse(fs.readFileSync(this.legacySessionsPath, 'utf8'), (key, value) => {
+      if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return Buffer.from(value.data);
+      }
+      return value;
+    });
+    
+    this.legacySessions = {
+      sessions: data.sessions || {},
+      sessionKeys: data.sessionKeys || [],
+      migratedAt: Date.now()
+    };
+    
+    // Save without catching errors: the plaintext file must outlive a failed save
+    this.keystore.save(this.getState());
+    fs.rmSync(this.legacySessionsPath, { force: true });
+    
+    console.log('Moved the plaintext sessions file into the keystore');
   }
 
   /**
-   * Initialize the client
+   * Register this device's keys with the server, with a delivery token and
+   * fresh pre-keys
    */
-  async initialize() {
-    await this.messaging.initialize();
-    this.loadSessionsFromFile();
+  async register() {
+    if (!this.deliveryToken) {
+      this.deliveryToken = crypto.randomBytes(16).toString('hex');
+    }
+    this.saveState();
+    
+    const registrationBundle = {
+      ...this.messaging.register(this.userId),
+      deliveryTokenHash: hashDeliveryToken(this.deliveryToken)
+    };
     
-    const registrationBundle = this.messaging.register(this.userId);
+    // The user and device are named by the path
+    delete registrationBundle.userId;
     
     try {
       // Register with the server
-      await makeRequest('/register', registrationBundle);
-      console.log(`Client ${this.userId} initialized and registered`);
+      await this.authenticatedRequest(`${getUserPath(this.userId)}/devices/${this.deviceId}`, registrationBundle, 'PUT');
+      console.log(`Client ${this.userId} initialized and registered on device ${this.deviceId}`);
     } catch (error) {
       console.error(`Registration failed: ${error.message}`);
       throw error;
     }
+    
+    // The registration carried the signed pre-key
+    this.publishedSignedPreKeyId = registrationBundle.preKeyId;
+    this.saveState();
+    
+    await this.replenishPreKeys();
+    await this.rotateSignedPreKeyIfDue();
   }
 
   /**
-   * List all registered users
+   * Generate a delivery token and register its hash with the server. Peers
+   * learn the token from our messages and present it for sealed sends.
    */
-  async listUsers() {
+  async publishDeliveryToken() {
+    this.deliveryToken = crypto.randomBytes(16).toString('hex');
+    this.saveState();
+    
     try {
-      const response = await makeRequest('/list-users', null, 'GET');
-      return response.users.filter(user => user !== this.userId);
+      await this.authenticatedRequest('/v1/account/delivery-token', {
+        deliveryTokenHash: hashDeliveryToken(this.deliveryToken)
+      }, 'PUT');
     } catch (error) {
-      console.error(`Failed to list users: ${error.message}`);
-      return [];
+      console.error(`Failed to publish delivery token: ${error.message}`);
     }
   }
 
   /**
-   * Start a session with another user
-   * @param {string} recipientId - ID of the recipient
-   * @returns {string} Session ID
+   * Get the server key that signs sender certificates. Unless one was
+   * configured, the key the server reports first is kept from then on.
+   * @returns {Promise<string>} Public key (PEM)
    */
-  async startSession(recipientId) {
-    try {
-      // Get recipient's bundle from server
-      const recipientBundle = await makeRequest('/get-user', { userId: recipientId });
-      
-      const sessionId = this.messaging.establishSession(recipientId, recipientBundle);
-      this.activeSessions.set(recipientId, sessionId);
-      
-      // Save the updated session data
-      this.saveSessionsToFile();
-      
-      console.log(`Session established with ${recipientId}`);
-      return sessionId;
-    } catch (error) {
-      console.error(`Failed to start session: ${error.message}`);
-      throw new Error(`User ${recipientId} not found`);
+  async getCertificateKey() {
+    if (!this.certificateKey) {
+      const { certificateKey } = await makeRequest(this.server, '/v1/certificate-key', null, 'GET');
+      this.certificateKey = certificateKey;
+      this.saveState();
     }
+    
+    return this.certificateKey;
   }
 
   /**
-   * Send a message to another user
-   * @param {string} recipientId - ID of the recipient
-   * @param {string} message - Message to send
+   * Get a sender certificate for sealed sending from the server, reusing
+   * the last one until it is about to expire
+   * @returns {Promise<Object>} Sender certificate signed by the server
    */
-  async sendMessage(recipientId, message) {
-    let sessionId = this.activeSessions.get(recipientId);
+  async getSenderCertificate() {
+    if (!this.senderCertificate || this.senderCertificate.expires - Date.now() < SENDER_CERTIFICATE_MIN_LIFETIME) {
+      const { certificate } = await this.authenticatedRequest('/v1/account/sender-certificate', null, 'GET');
+      this.senderCertificate = certificate;
+    }
     
-    if (!sessionId) {
-      // Automatically establish a session if one doesn't exist
-      try {
-        sessionId = await this.startSession(recipientId);
-      } catch (error) {
-        throw error;
+    return this.senderCertificate;
+  }
+
+  /**
+   * Wrap content with the metadata we share with the recipient
+   * @param {Object} content - Typed content (see SecureMessaging.encodePayload)
+   * @returns {string} Plaintext to encrypt
+   */
+  encodeContent(content) {
+    return this.messaging.encodePayload({ ...content, deliveryToken: this.deliveryToken });
+  }
+
+  /**
+   * Check whether the server still knows this user and device
+   * @returns {boolean} True if the device is registered
+   */
+  async isRegistered() {
+    try {
+      await this.authenticatedRequest('/v1/account/prekeys', null, 'GET');
+      return true;
+    } catch (error) {
+      if (error.code === 'user_not_found' || error.code === 'unknown_device') {
+        return false;
       }
+      throw error;
     }
+  }
+
+  /**
+   * Rotate the signed pre-key once it reaches its rotation age, and publish
+   * it if the server does not have it yet
+   */
+  async rotateSignedPreKeyIfDue() {
+    this.messaging.pruneSignedPreKeys();
     
-    const encryptedMessage = this.messaging.encryptMessage(sessionId, message);
+    if (this.messaging.needsSignedPreKeyRotation()) {
+      const signedPreKey = this.messaging.rotateSignedPreKey();
+      
+      // Persist the new key before publishing it, so we can always decrypt for it
+      this.saveState();
+      console.log(`Rotated signed pre-key to ${signedPreKey.preKeyId}`);
+    }
     
-    // Add sender information
-    encryptedMessage.sender = this.userId;
-    encryptedMessage.recipient = recipientId;
-    encryptedMessage.timestamp = Date.now();
+    await this.publishSignedPreKey();
+  }
+
+  /**
+   * Upload the current signed pre-key unless the server already has it. A
+   * failed upload is tried again on the next rotation check.
+   * @param {boolean} canRotate - Whether to replace the key once if the server has a newer one
+   */
+  async publishSignedPreKey(canRotate = true) {
+    const signedPreKey = this.messaging.getSignedPreKeyBundle();
+    if (signedPreKey.preKeyId === this.publishedSignedPreKeyId) {
+      return;
+    }
     
     try {
-      // Send message to server
-      await makeRequest('/send-message', encryptedMessage);
-      
-      // Save the updated session data after encryption
-      this.saveSessionsToFile();
+      await this.authenticatedRequest('/v1/account/signed-prekey', signedPreKey, 'PUT');
+    } catch (error) {
+      if (error.code !== 'conflict') {
+        console.error(`Failed to publish signed pre-key: ${error.message}`);
+        return;
+      }
       
-      console.log(`Message sent to ${recipientId}`);
+      // The server already has this key if an earlier upload went through
+      // without us seeing the response. Otherwise it has a newer key we do
+      // not hold, e.g. after an old keystore was restored, and nobody could
+      // start a session with us until we publish a key newer than that one.
+      const published = await this.getPublishedSignedPreKey();
+      if (!published) {
+        return;
+      }
+      if (published.preKeyId !== signedPreKey.preKeyId || published.preKeyTimestamp !== signedPreKey.preKeyTimestamp) {
+        if (!canRotate) {
+          console.error(`Failed to publish signed pre-key: ${error.message}`);
+          return;
+        }
+        
+        const rotated = this.messaging.rotateSignedPreKey();
+        this.saveState();
+        console.log(`Server has a newer signed pre-key; rotated to ${rotated.preKeyId}`);
+        return this.publishSignedPreKey(false);
+      }
+    }
+    
+    this.publishedSignedPreKeyId = signedPreKey.preKeyId;
+    this.saveState();
+    console.log(`Published signed pre-key ${signedPreKey.preKeyId}`);
+  }
+
+  /**
+   * Ask the server which signed pre-key it hands out for this device
+   * @returns {Object|null} preKeyId and preKeyTimestamp, or null if the request failed
+   */
+  async getPublishedSignedPreKey() {
+    try {
+      return await this.authenticatedRequest('/v1/account/signed-prekey', null, 'GET');
     } catch (error) {
-      console.error(`Failed to send message: ${error.message}`);
-      throw error;
+      console.error(`Failed to check the published signed pre-key: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Receive and process messages
+   * Upload a new batch of one-time pre-keys if the server is running low
    */
-  async receiveMessages() {
+  async replenishPreKeys() {
     try {
-      // Get messages from server
-      const response = await makeRequest('/get-messages', { userId: this.userId });
-      const messages = response.messages || [];
+      const { count } = await this.authenticatedRequest('/v1/account/prekeys', null, 'GET');
       
-      if (messages.length === 0) {
-        console.log('No new messages');
-        return [];
+      if (count >= PREKEY_LOW_WATER_MARK) {
+        return;
       }
       
-      const decryptedMessages = [];
+      const oneTimePreKeys = this.messaging.generateOneTimePreKeys(PREKEY_BATCH_SIZE);
+      await this.authenticatedRequest('/v1/account/prekeys', { oneTimePreKeys });
       
-      for (const message of messages) {
-        try {
-          // Start a session if it doesn't exist yet
-          if (!this.activeSessions.has(message.sender)) {
-            try {
-              const senderBundle = await makeRequest('/get-user', { userId: message.sender });
-              const sessionId = this.messaging.establishSession(message.sender, senderBundle);
-              this.activeSessions.set(message.sender, sessionId);
-              
-              // Save the updated session data
-              this.saveSessionsToFile();
-            } catch (error) {
-              console.error(`Failed to establish session with ${message.sender}: ${error.message}`);
-              continue;
-            }
-          }
-          
-          const decryptedMessage = this.messaging.decryptMessage(message);
-          decryptedMessages.push({
-            from: message.sender,
-            content: decryptedMessage,
-            timestamp: message.timestamp
-          });
-          
-          // Save the updated session data after decryption
-          this.saveSessionsToFile();
-        } catch (error) {
-          console.error(`Failed to decrypt message from ${message.sender}: ${error.message}`);
-        }
-      }
+      // Save the new private keys
+      this.saveState();
       
-      return decryptedMessages;
+      console.log(`Uploaded ${oneTimePreKeys.length} one-time pre-keys`);
     } catch (error) {
-      console.error(`Failed to receive messages: ${error.message}`);
-      return [];
+      console.error(`Failed to replenish pre-keys: ${error.message}`);
     }
   }
-}
 
-/**
- * Interactive CLI client for the secure messaging system
- */
-async function startInteractiveClient() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
-  
-  console.log('Secure Messaging System');
-  console.log('======================');
-  
-  rl.question('Enter your user ID: ', async (userId) => {
-    try {
-      const client = new SecureMessagingClient(userId);
-      await client.initialize();
-      
-      console.log('\nCommands:');
-      console.log('  send <userId> <message> - Send a message');
-      console.log('  receive - Check for new messages');
-      console.log('  users - List all registered users');
-      console.log('  exit - Exit the application');
-      console.log('');
-      
-      rl.prompt();
-      
-      rl.on('line', async (line) => {
-        const [command, ...args] = line.trim().split(' ');
-        
-        try {
-          switch (command.toLowerCase()) {
-            case 'send': {
-              const recipientId = args[0];
-              const message = args.slice(1).join(' ');
-              
-              if (!recipientId || !message) {
-                console.log('Usage: send <userId> <message>');
-                break;
-              }
-              
-              await client.sendMessage(recipientId, message);
-              break;
-            }
-            
-            case 'receive': {
-              const messages = await client.receiveMessages();
-              
-              if (messages.length === 0) {
-                console.log('No new messages');
-              } else {
-                console.log('\nNew Messages:');
-                messages.forEach(msg => {
-                  const date = new Date(msg.timestamp);
-                  console.log(`[${date.toLocaleString()}] ${msg.from}: ${msg.content}`);
-                });
-              }
-              break;
+  /**
+   * Ask to add this new device to an existing account and wait until the
+   * primary device approves it. The request ends with an error once the
+   * server lets it expire.
+   * @param {Function} onLinkCode - Called with the code to enter on the primary device
+   */
+  async requestLink(onLinkCode) {
+    const { identityKeyPair, identityDhKeyPair } = this.messaging;
+    const auth = { userId: this.userId, deviceId: UNLINKED_DEVICE_ID, privateKey: identityKeyPair.privateKey };
+    
+    const { code } = await makeRequest(this.server, `${getUserPath(this.userId)}/link-requests`, {
+      identityKey: identityKeyPair.publicKey,
+      identityDhKey: identityDhKeyPair.publicKey
+    }, 'POST', auth);
+    onLinkCode(code);
+    
+    let status = { approved: false };
+    while (!status.approved) {
+      await new Promise(resolve => setTimeout(resolve, LINK_POLL_INTERVAL));
+      status = await makeRequest(this.server, `${getUserPath(this.userId)}/link-requests/${encodeURIComponent(code)}`, null, 'GET', auth);
+    }
+    
+    // Make sure the certificate covers our own keys before relying on it
+    const { deviceId, deviceCertificate } = status;
+    this.messaging.verifyDeviceIdentity(this.userId, deviceId, identityKeyPair.publicKey, deviceCertificate);
+    if (deviceCertificate.identityDhKey !== identityDhKeyPair.publicKey) {
+      throw new Error('Device certificate does not match our keys');
+    }
+    
+    this.deviceId = deviceId;
+    this.messaging.deviceCertificate = deviceCertificate;
+    console.log(`Linked as device ${deviceId}`);
+  }
+
+  /**
+   * Approve a new device's link request. Only the primary device can do this,
+   * since it holds the account identity key that certifies the device.
+   * @param {string} code - Code shown on the new device
+   * @returns {number} ID of the linked device
+   */
+  async approveLink(code) {
+    const request = await this.authenticatedRequest(`/v1/account/link-requests/${encodeURIComponent(code)}`, null, 'GET');
+    const deviceCertificate = this.messaging.createDeviceCertificate(
+      this.userId,
+      request.deviceId,
+      request.identityKey,
+      request.identityDhKey
+    );
+    
+    await this.authenticatedRequest(`/v1/account/link-requests/${encodeURIComponent(code)}/approve`, { deviceCertificate });
+    console.log(`Device ${request.deviceId} linked`);
+    
+    return request.deviceId;
+  }
+
+  /**
+   * List the devices registered for our account
+   * @returns {Object[]} Devices with their IDs and link times
+   */
+  async listDevices() {
+    const { devices } = await this.authenticatedRequest('/v1/account/devices', null, 'GET');
+    return devices;
+  }
+
+  /**
+   * Remove a device from our account. The primary device can remove any
+   * linked device; a linked device can only remove itself.
+   * @param {number} deviceId - Device to remove
+   */
+  async revokeDevice(deviceId) {
+    await this.authenticatedRequest(`/v1/account/devices/${deviceId}`, null, 'DELETE');
+    this.activeSessions.delete(getAddress(this.userId, deviceId));
+    this.saveState();
+    
+    console.log(`Device ${deviceId} revoked`);
+  }
+
+  /**
+   * Tell every user we have sessions with that our identity key is revoked,
+   * so they stop using it. Failures are logged; peers we miss find out when
+   * the key changes.
+   * @param {string} reason - 'revoked', or 'deleted' when the account goes away
+   */
+  async notifyIdentityRevoked(reason) {
+    const addresses = Array.from(this.activeSessions.entries())
+      .map(([address, sessionId]) => [address, this.messaging.sessionKeys.get(sessionId)])
+      .filter(([, session]) => session && session.recipientId !== this.userId);
+    
+    for (const [address, session] of addresses) {
+      try {
+        await this.sendToDevice(session.recipientId, session.recipientDevice || PRIMARY_DEVICE_ID, {
+          type: 'identity-revoked',
+          reason
+        });
+      } catch (error) {
+        console.error(`Failed to notify ${address}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Revoke our account identity key, e.g. after it was compromised, and
+   * carry on under a new one. Peers are told first; the server then drops
+   * all our devices, and this (primary) device registers again with new
+   * keys. Linked devices have to be linked again.
+   */
+  async revokeIdentityKey() {
+    if (this.deviceId !== PRIMARY_DEVICE_ID) {
+      throw new Error('Only the primary device can revoke the account key');
+    }
+    
+    await this.notifyIdentityRevoked('revoked');
+    
+    // The request is signed with the old key, naming the new one
+    const messaging = new SecureMessaging();
+    await messaging.initialize();
+    await this.authenticatedRequest('/v1/account/revoke', { identityKey: messaging.getAccountIdentityKey() });
+    
+    // Nothing built on the old key is kept
+    this.messaging = messaging;
+    this.activeSessions = new Map();
+    this.sessionResets = new Map();
+    this.deliveryToken = null;
+    this.saveState();
+    console.log('Identity key revoked');
+    
+    await this.register();
+  }
+
+  /**
+   * Delete our account: tell peers, deregister from the server, and remove
+   * the local keystore and history. Only the primary device can do this.
+   */
+  async deleteAccount() {
+    if (this.deviceId !== PRIMARY_DEVICE_ID) {
+      throw new Error('Only the primary device can delete the account; use "device revoke" for this device');
+    }
+    
+    await this.notifyIdentityRevoked('deleted');
+    await this.authenticatedRequest('/v1/account', null, 'DELETE');
+    
+    this.unsubscribe();
+    this.keystore.remove();
+    this.history.remove();
+    console.log(`Account ${this.userId} deleted`);
+  }
+
+  /**
+   * Find out which of some user IDs are registered. Only hashes of the IDs
+   * are sent, and the server answers with the hashes it knows.
+   * @param {string[]} userIds - User IDs to look up
+   * @returns {Promise<string[]>} The registered ones
+   */
+  async discoverUsers(userIds) {
+    const byHash = new Map(userIds.map(userId => [getContactHash(userId), userId]));
+    const hashes = Array.from(byHash.keys());
+    const found = [];
+    
+    for (let i = 0; i < hashes.length; i += DISCOVERY_BATCH_SIZE) {
+      const { matches } = await this.authenticatedRequest('/v1/contacts/discover', {
+        hashes: hashes.slice(i, i + DISCOVERY_BATCH_SIZE)
+      });
+      matches.forEach(hash => found.push(byHash.get(hash)));
+    }
+    
+    return found;
+  }
+
+  /**
+   * Add a registered user to our contacts, or change a contact's nickname
+   * @param {string} userId - User ID
+   * @param {string|null} nickname - Name to show instead of the user ID
+   * @returns {Promise<Object>} Contact entry
+   */
+  async addContact(userId, nickname = null) {
+    if (!this.contacts.get(userId)) {
+      const [found] = await this.discoverUsers([userId]);
+      if (!found) {
+        throw new Error(`${userId} is not registered`);
+      }
+    }
+    
+    const entry = this.contacts.add(userId, nickname);
+    this.saveState();
+    return entry;
+  }
+
+  /**
+   * List our contacts and blocked users
+   * @returns {Object[]} Entries with userId, nickname, contact and blocked
+   */
+  listContacts() {
+    return this.contacts.list();
+  }
+
+  /**
+   * Block a user: their messages are dropped from then on
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user was not blocked before
+   */
+  blockUser(userId) {
+    const blocked = this.contacts.block(userId);
+    this.saveState();
+    return blocked;
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user was blocked
+   */
+  unblockUser(userId) {
+    const unblocked = this.contacts.unblock(userId);
+    this.saveState();
+    return unblocked;
+  }
+
+  /**
+   * Check that a device speaks for the account it claims, and that the
+   * account key is the one we trust. Our own devices must be certified by
+   * our own account key.
+   * @param {string} userId - User the device belongs to
+   * @param {number} deviceId - Device ID
+   * @param {string} identityKey - Device identity key
+   * @param {Object|null} deviceCertificate - Certificate presented by the device
+   */
+  checkDeviceIdentity(userId, deviceId, identityKey, deviceCertificate) {
+    const accountIdentityKey = this.messaging.verifyDeviceIdentity(userId, deviceId, identityKey, deviceCertificate);
+    
+    if (userId !== this.userId) {
+      this.trustStore.checkIdentity(userId, accountIdentityKey);
+    } else if (accountIdentityKey !== this.messaging.getAccountIdentityKey()) {
+      throw new Error(`Device ${deviceId} is not certified by our account key`);
+    }
+  }
+
+  /**
+   * Get the devices of a user we have sessions with
+   * @param {string} userId - User ID
+   * @returns {number[]} Device IDs
+   */
+  getSessionDevices(userId) {
+    return Array.from(this.activeSessions.values())
+      .map(sessionId => this.messaging.sessionKeys.get(sessionId))
+      .filter(session => session && session.recipientId === userId)
+      .map(session => session.recipientDevice || PRIMARY_DEVICE_ID);
+  }
+
+  /**
+   * Start sessions with some or all of a user's devices
+   * @param {string} recipientId - ID of the recipient
+   * @param {number[]} deviceIds - Devices to start sessions with (all if omitted)
+   */
+  async startSessions(recipientId, deviceIds = null) {
+    let account;
+    try {
+      // Get one bundle per device from the server
+      const query = deviceIds ? `?deviceIds=${deviceIds.join(',')}` : '';
+      account = await this.authenticatedRequest(`${getUserPath(recipientId)}/bundle${query}`, null, 'GET');
+    } catch (error) {
+      console.error(`Failed to start session: ${error.message}`);
+      throw new Error(`User ${recipientId} not found`);
+    }
+    
+    for (const bundle of account.devices) {
+      try {
+        // Refuse to talk to a key that differs from the one we trusted before
+        this.checkDeviceIdentity(recipientId, bundle.deviceId, bundle.identityKey, bundle.deviceCertificate);
+        
+        const sessionId = this.messaging.establishSession(recipientId, bundle);
+        this.activeSessions.set(getAddress(recipientId, bundle.deviceId), sessionId);
+        console.log(`Session established with ${getAddress(recipientId, bundle.deviceId)}`);
+      } catch (error) {
+        if (error instanceof IdentityChangedError) {
+          // Persist the pending key so it can be compared and accepted later
+          this.saveState();
+          throw error;
+        }
+        console.error(`Failed to start session with ${getAddress(recipientId, bundle.deviceId)}: ${error.message}`);
+      }
+    }
+    
+    // Save the updated session data
+    this.saveState();
+  }
+
+  /**
+   * Bring our sessions with a user's devices up to date: start sessions with
+   * new devices and forget devices that have been removed. Our own device is
+   * left out.
+   * @param {string} userId - User ID
+   * @returns {number[]} IDs of the devices we now have sessions with
+   */
+  async refreshSessions(userId) {
+    let deviceIds;
+    try {
+      ({ deviceIds } = await this.authenticatedRequest(`${getUserPath(userId)}/devices`, null, 'GET'));
+    } catch (error) {
+      throw new Error(`User ${userId} not found`);
+    }
+    
+    deviceIds = deviceIds.filter(deviceId => userId !== this.userId || deviceId !== this.deviceId);
+    
+    this.getSessionDevices(userId)
+      .filter(deviceId => !deviceIds.includes(deviceId))
+      .forEach(deviceId => this.activeSessions.delete(getAddress(userId, deviceId)));
+    
+    const newDevices = deviceIds.filter(deviceId => !this.activeSessions.has(getAddress(userId, deviceId)));
+    if (newDevices.length > 0) {
+      await this.startSessions(userId, newDevices);
+    }
+    
+    return deviceIds.filter(deviceId => this.activeSessions.has(getAddress(userId, deviceId)));
+  }
+
+  /**
+   * End our sessions with a user's devices and start fresh ones. The first
+   * message on each new session tells the device to drop the old one too.
+   * @param {string} userId - Peer user ID
+   * @param {number[]} deviceIds - Devices to reset; all of the user's devices if omitted
+   * @param {string} reason - 'manual', or 'decrypt-failed' when a message could not be decrypted
+   * @returns {number[]} IDs of the devices the session was reset with
+   */
+  async resetSession(userId, deviceIds = null, reason = 'manual') {
+    let targets = deviceIds;
+    if (!targets) {
+      try {
+        ({ deviceIds: targets } = await this.authenticatedRequest(`${getUserPath(userId)}/devices`, null, 'GET'));
+      } catch (error) {
+        throw new Error(`User ${userId} not found`);
+      }
+      targets = targets.filter(deviceId => userId !== this.userId || deviceId !== this.deviceId);
+    }
+    
+    targets.forEach((deviceId) => {
+      this.activeSessions.delete(getAddress(userId, deviceId));
+      this.messaging.endSessions(userId, deviceId);
+      this.sessionResets.set(getAddress(userId, deviceId), Date.now());
+    });
+    await this.startSessions(userId, targets);
+    
+    const reset = targets.filter(deviceId => this.activeSessions.has(getAddress(userId, deviceId)));
+    for (const deviceId of reset) {
+      await this.sendToDevice(userId, deviceId, { type: 'session-reset', reason });
+      console.log(`Secure session with ${getAddress(userId, deviceId)} reset`);
+    }
+    
+    return reset;
+  }
+
+  /**
+   * Get the safety number shared with a peer
+   * @param {string} userId - Peer user ID
+   * @returns {Object} Safety number, verification status and any pending key change
+   */
+  getSafetyNumber(userId) {
+    const entry = this.trustStore.get(userId);
+    if (!entry) {
+      throw new Error(`No identity key known for ${userId}; exchange a message first`);
+    }
+    
+    // Safety numbers cover account keys, so they are the same on all devices
+    const localKey = this.messaging.getAccountIdentityKey();
+    const result = {
+      safetyNumber: computeSafetyNumber(this.userId, localKey, userId, entry.identityKey),
+      verified: entry.verified,
+      revoked: Boolean(entry.revoked)
+    };
+    
+    if (entry.pendingIdentityKey) {
+      result.pendingSafetyNumber = computeSafetyNumber(this.userId, localKey, userId, entry.pendingIdentityKey);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Mark a peer as verified after comparing safety numbers
+   * @param {string} userId - Peer user ID
+   */
+  markVerified(userId) {
+    this.trustStore.markVerified(userId);
+    this.saveState();
+  }
+
+  /**
+   * Accept a peer's changed identity key. The old sessions are dropped so the
+   * next message starts fresh ones with the new key.
+   * @param {string} userId - Peer user ID
+   */
+  trustIdentity(userId) {
+    this.trustStore.acceptPendingIdentity(userId);
+    this.getSessionDevices(userId).forEach(deviceId => this.activeSessions.delete(getAddress(userId, deviceId)));
+    this.saveState();
+  }
+
+  /**
+   * Send a message to another user
+   * @param {string} recipientId - ID of the recipient
+   * @param {string} message - Message to send
+   * @returns {string} Message ID that receipts will refer to
+   */
+  async sendMessage(recipientId, message) {
+    // The ID is only visible to the recipient, never to the server
+    const messageId = crypto.randomBytes(8).toString('hex');
+    await this.sendAndSync(recipientId, { type: 'text', id: messageId, text: message });
+    
+    return messageId;
+  }
+
+  /**
+   * Reply to a message from the history, in the conversation it belongs to
+   * @param {string} messageId - ID of the message to reply to
+   * @param {string} message - Reply text
+   * @returns {string} Message ID of the reply
+   */
+  async reply(messageId, message) {
+    const { conversationId } = this.findHistoryMessage(messageId);
+    const replyId = crypto.randomBytes(8).toString('hex');
+    
+    await this.sendToConversation(conversationId, { type: 'text', id: replyId, text: message, replyTo: messageId });
+    return replyId;
+  }
+
+  /**
+   * React to a message from the history
+   * @param {string} messageId - ID of the message to react to
+   * @param {string} emoji - Reaction, or an empty string to take our reaction back
+   */
+  async react(messageId, emoji) {
+    const { conversationId } = this.findHistoryMessage(messageId);
+    await this.sendToConversation(conversationId, { type: 'reaction', messageId, emoji });
+  }
+
+  /**
+   * Change the text of a message we sent
+   * @param {string} messageId - ID of the message to edit
+   * @param {string} message - New text
+   */
+  async editMessage(messageId, message) {
+    const { conversationId, entry } = this.findHistoryMessage(messageId);
+    if (entry.from !== this.userId || entry.deleted || entry.attachment) {
+      throw new Error('Only text messages you sent can be edited');
+    }
+    
+    await this.sendToConversation(conversationId, { type: 'edit', messageId, text: message });
+  }
+
+  /**
+   * Delete a message we sent, for everyone in the conversation
+   * @param {string} messageId - ID of the message to delete
+   */
+  async deleteMessage(messageId) {
+    const { conversationId, entry } = this.findHistoryMessage(messageId);
+    if (entry.from !== this.userId || entry.deleted) {
+      throw new Error('Only messages you sent can be deleted');
+    }
+    
+    await this.sendToConversation(conversationId, { type: 'delete', messageId });
+  }
+
+  /**
+   * Look up a message in the local history
+   * @param {string} messageId - Message ID
+   * @returns {Object} Conversation ID and history entry
+   */
+  findHistoryMessage(messageId) {
+    const found = this.history.findById(messageId);
+    if (!found) {
+      throw new Error(`No message with ID ${messageId}`);
+    }
+    return found;
+  }
+
+  /**
+   * Send content to a conversation from the history, which is either a
+   * group or a single user
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} content - Typed content
+   */
+  async sendToConversation(conversationId, content) {
+    const groupId = getConversationGroupId(conversationId);
+    
+    if (groupId) {
+      await this.sendGroupContent(groupId, content);
+    } else {
+      await this.sendAndSync(conversationId, content);
+    }
+  }
+
+  /**
+   * Send a file. It is encrypted under a fresh key and uploaded to the
+   * server's blob store; the recipient gets the key, digest, size and file
+   * name in an ordinary encrypted message.
+   * @param {string} recipientId - ID of the recipient
+   * @param {string} filePath - File to send
+   * @returns {string} Message ID that receipts will refer to
+   */
+  async sendFile(recipientId, filePath) {
+    const data = fs.readFileSync(filePath);
+    if (data.length > MAX_ATTACHMENT_SIZE) {
+      throw new Error(`File is larger than ${MAX_ATTACHMENT_SIZE} bytes`);
+    }
+    
+    const { key, digest, blob } = this.messaging.encryptAttachment(data);
+    const blobId = await this.uploadBlob(blob);
+    
+    const messageId = crypto.randomBytes(8).toString('hex');
+    await this.sendAndSync(recipientId, {
+      type: 'attachment',
+      id: messageId,
+      attachment: {
+        blobId,
+        key: key.toString('base64'),
+        digest: digest.toString('base64'),
+        size: data.length,
+        filename: path.basename(filePath)
+      }
+    });
+    
+    return messageId;
+  }
+
+  /**
+   * Send a message the user will see, track its status and copy it to our
+   * other devices so the conversation looks the same everywhere. In a
+   * conversation with disappearing messages, the message carries the timer
+   * and the server drops it if it is not delivered in time.
+   * @param {string} recipientId - ID of the recipient
+   * @param {Object} messageContent - Text, attachment, reaction, edit or delete content
+   */
+  async sendAndSync(recipientId, messageContent) {
+    const expireTimer = this.disappearingTimers.get(recipientId);
+    const content = expireTimer ? { ...messageContent, expireTimer } : messageContent;
+    const timestamp = Date.now();
+    
+    await this.sendContent(recipientId, content, expireTimer);
+    
+    if (content.id) {
+      this.trackSentMessage(content.id, recipientId);
+      this.saveState();
+    }
+    
+    this.recordHistory({
+      ...getMessageFields(content),
+      from: this.userId,
+      fromDevice: this.deviceId,
+      to: recipientId,
+      timestamp,
+      expiresAt: getExpiry(timestamp, expireTimer)
+    });
+    this.saveHistory();
+    
+    try {
+      await this.sendContent(this.userId, { type: 'sync', destination: recipientId, content }, expireTimer);
+    } catch (error) {
+      console.error(`Failed to sync message to our other devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the disappearing message timer of a conversation. The peer and our
+   * other devices get the new setting in an encrypted control message, so
+   * it cannot be changed by anyone outside the conversation.
+   * @param {string} userId - Peer user ID
+   * @param {number|null} duration - Timer in ms, or null to turn disappearing messages off
+   */
+  async setDisappearingTimer(userId, duration) {
+    if (duration !== null && !isValidTimer(duration)) {
+      throw new Error(`Timer must be between ${formatDuration(MIN_DISAPPEARING_TIMER)} and ${formatDuration(MAX_DISAPPEARING_TIMER)}`);
+    }
+    if (userId === this.userId) {
+      throw new Error('Cannot set a timer for a conversation with yourself');
+    }
+    
+    const content = { type: 'timer', duration };
+    await this.sendContent(userId, content);
+    
+    this.recordHistory(this.applyDisappearingTimer(userId, duration, this.userId, Date.now()));
+    this.saveState();
+    this.saveHistory();
+    
+    try {
+      await this.sendContent(this.userId, { type: 'sync', destination: userId, content });
+    } catch (error) {
+      console.error(`Failed to sync timer to our other devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the disappearing message timer of a conversation
+   * @param {string} userId - Peer user ID
+   * @returns {number|null} Timer in ms, or null if messages do not disappear
+   */
+  getDisappearingTimer(userId) {
+    return this.disappearingTimers.get(userId) || null;
+  }
+
+  /**
+   * Store a conversation's new timer
+   * @param {string} userId - Peer user ID
+   * @param {number|null} duration - Timer in ms, or null for off
+   * @param {string} changedBy - User who changed the timer
+   * @param {number} timestamp - Time of the change
+   * @returns {Object} The change, in the form returned by receiveMessages
+   */
+  applyDisappearingTimer(userId, duration, changedBy, timestamp) {
+    if (duration) {
+      this.disappearingTimers.set(userId, duration);
+    } else {
+      this.disappearingTimers.delete(userId);
+    }
+    
+    return { from: changedBy, to: changedBy === this.userId ? userId : this.userId, timer: duration, timestamp };
+  }
+
+  /**
+   * Upload an encrypted attachment in chunks. After a failed chunk we ask
+   * the server how much arrived and continue from there.
+   * @param {Buffer} blob - Encrypted attachment
+   * @returns {string} Blob ID
+   */
+  async uploadBlob(blob) {
+    const { blobId } = await this.authenticatedRequest('/v1/attachments', { size: blob.length });
+    let offset = 0;
+    let failures = 0;
+    
+    while (offset < blob.length) {
+      try {
+        ({ received: offset } = await this.authenticatedRequest(`/v1/attachments/${blobId}`, {
+          offset,
+          data: blob.subarray(offset, offset + ATTACHMENT_CHUNK_SIZE).toString('base64')
+        }, 'PATCH'));
+        failures = 0;
+      } catch (error) {
+        failures += 1;
+        if (failures > TRANSFER_MAX_RETRIES) {
+          throw new Error(`Upload failed: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, TRANSFER_RETRY_DELAY * failures));
+        
+        // The chunk may have arrived even though the response did not
+        try {
+          ({ received: offset } = await this.authenticatedRequest(`/v1/attachments/${blobId}/upload`, null, 'GET'));
+        } catch (statusError) {
+          // Try the same chunk again
+        }
+      }
+    }
+    
+    return blobId;
+  }
+
+  /**
+   * Remember a received attachment so it can be saved later
+   * @param {string} messageId - ID of the message that carried it
+   * @param {string} senderId - User that sent it
+   * @param {Object} attachment - Attachment pointer (blob ID, key, digest, size, file name)
+   * @param {number} expiresAt - Time after which it is forgotten, for disappearing messages
+   */
+  trackReceivedAttachment(messageId, senderId, attachment, expiresAt) {
+    this.receivedAttachments.set(messageId, { from: senderId, receivedAt: Date.now(), attachment, expiresAt });
+    if (this.receivedAttachments.size > MAX_TRACKED_ATTACHMENTS) {
+      this.dropReceivedAttachment(this.receivedAttachments.keys().next().value);
+    }
+  }
+
+  /**
+   * Stop tracking a received attachment and delete its partial download
+   * @param {string} messageId - ID of the message that carried it
+   */
+  dropReceivedAttachment(messageId) {
+    const entry = this.receivedAttachments.get(messageId);
+    if (entry && entry.partPath) {
+      fs.rmSync(entry.partPath, { force: true });
+    }
+    this.receivedAttachments.delete(messageId);
+  }
+
+  /**
+   * Forget the key of an attachment whose message its sender deleted
+   * @param {string} messageId - ID of the deleted message
+   * @param {string} senderId - User that deleted it
+   */
+  forgetAttachment(messageId, senderId) {
+    const entry = this.receivedAttachments.get(messageId);
+    if (entry && entry.from === senderId) {
+      this.dropReceivedAttachment(messageId);
+    }
+  }
+
+  /**
+   * Download, verify and decrypt a received attachment. The download is
+   * written to a new "<destination>.<random>.part" file first, which is
+   * remembered with the attachment, so an interrupted download resumes from
+   * where it stopped, even after a restart.
+   * @param {string} messageId - ID of the message that carried the attachment
+   * @param {string} destination - Where to save the file (defaults to its name in the current directory);
+   *   an existing file there is kept and the new one gets a numbered name
+   * @returns {string} Path of the saved file
+   */
+  async saveAttachment(messageId, destination = null) {
+    const entry = this.receivedAttachments.get(messageId);
+    if (!entry) {
+      throw new Error(`No attachment with message ID ${messageId}`);
+    }
+    
+    // The file name comes from the sender, so never let it pick a directory
+    const { attachment } = entry;
+    let filePath = destination;
+    if (!filePath) {
+      const filename = typeof attachment.filename === 'string' ? path.basename(attachment.filename) : '';
+      if (filename === '' || filename === '.' || filename === '..') {
+        throw new Error('Attachment has no usable file name; give a path to save it to');
+      }
+      filePath = path.join(process.cwd(), filename);
+    }
+    
+    // Only ever append to a partial download we created ourselves
+    let fd;
+    if (entry.partPath && fs.existsSync(entry.partPath)) {
+      fd = fs.openSync(entry.partPath, fs.constants.O_WRONLY | fs.constants.O_APPEND | fs.constants.O_NOFOLLOW);
+    } else {
+      entry.partPath = `${filePath}.${crypto.randomBytes(8).toString('hex')}.part`;
+      fd = fs.openSync(entry.partPath, 'wx', 0o600);
+      this.saveState();
+    }
+    const { partPath } = entry;
+    
+    // The server says how big the blob is, but the sender's message decides
+    const maxSize = attachment.size + ATTACHMENT_BLOB_OVERHEAD;
+    let offset = fs.fstatSync(fd).size;
+    let size = Infinity;
+    let failures = 0;
+    
+    try {
+      while (offset < size) {
+        let tooLarge = false;
+        try {
+          const chunk = await this.authenticatedRequest(
+            `/v1/attachments/${encodeURIComponent(attachment.blobId)}?offset=${offset}&length=${ATTACHMENT_CHUNK_SIZE}`, null, 'GET');
+          const data = Buffer.from(chunk.data, 'base64');
+          
+          size = chunk.size;
+          if (size > maxSize || offset + data.length > size) {
+            tooLarge = true;
+            throw new Error('Attachment is larger than its message says');
+          }
+          if (data.length === 0 && offset < size) {
+            throw new Error('Server returned an empty chunk');
+          }
+          
+          fs.writeSync(fd, data);
+          offset += data.length;
+          failures = 0;
+        } catch (error) {
+          // A partial download longer than the attachment is of no use
+          if (tooLarge || error.code === 'invalid_request') {
+            fs.rmSync(partPath, { force: true });
+          }
+          
+          // Client errors will not go away by retrying
+          failures += 1;
+          if (tooLarge || (error instanceof ApiError && !(error instanceof ServerError)) || failures > TRANSFER_MAX_RETRIES) {
+            throw new Error(`Download failed: ${error.message}`);
+          }
+          await new Promise(resolve => setTimeout(resolve, TRANSFER_RETRY_DELAY * failures));
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    
+    let data;
+    try {
+      data = this.messaging.decryptAttachment(
+        fs.readFileSync(partPath),
+        Buffer.from(attachment.key, 'base64'),
+        Buffer.from(attachment.digest, 'base64')
+      );
+      if (data.length !== attachment.size) {
+        throw new Error('Attachment size does not match');
+      }
+    } catch (error) {
+      // A damaged partial download cannot be resumed, so start over next time
+      fs.rmSync(partPath, { force: true });
+      throw error;
+    }
+    
+    // Never overwrite an existing file
+    const savedPath = writeNewFile(filePath, data);
+    
+    this.dropReceivedAttachment(messageId);
+    this.saveState();
+    
+    return savedPath;
+  }
+
+  /**
+   * Start tracking the status of a message we sent
+   * @param {string} messageId - Message ID
+   * @param {string} recipientId - User the message was sent to
+   */
+  trackSentMessage(messageId, recipientId) {
+    this.sentMessages.set(messageId, { recipient: recipientId, sentAt: Date.now(), status: 'sent' });
+    if (this.sentMessages.size > MAX_TRACKED_SENT_MESSAGES) {
+      this.sentMessages.delete(this.sentMessages.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the delivery status of a message we sent
+   * @param {string} messageId - ID returned by sendMessage
+   * @returns {Object|undefined} Recipient, send time and status ('sent', 'delivered' or 'read')
+   */
+  getMessageStatus(messageId) {
+    return this.sentMessages.get(messageId);
+  }
+
+  /**
+   * Send a delivery or read receipt for messages from one user
+   * @param {string} recipientId - User whose messages we are acknowledging
+   * @param {string} receiptType - 'delivered' or 'read'
+   * @param {string[]} messageIds - IDs of that user's messages
+   */
+  async sendReceipt(recipientId, receiptType, messageIds) {
+    try {
+      await this.sendContent(recipientId, { type: 'receipt', receiptType, messageIds });
+    } catch (error) {
+      console.error(`Failed to send ${receiptType} receipt to ${recipientId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send read receipts for messages that have been shown to the user
+   * @param {Array} messages - Messages returned by receiveMessages
+   */
+  async markRead(messages) {
+    if (!this.readReceipts) {
+      return;
+    }
+    
+    for (const [senderId, messageIds] of this.groupMessageIdsBySender(messages)) {
+      this.history.markRead(senderId, messageIds);
+      await this.sendReceipt(senderId, 'read', messageIds);
+    }
+    this.saveHistory();
+  }
+
+  /**
+   * Collect the IDs of received direct messages per sender
+   * @param {Array} messages - Messages returned by receiveMessages
+   * @returns {Map} Message IDs by sender
+   */
+  groupMessageIdsBySender(messages) {
+    const idsBySender = new Map();
+    
+    // Copies of our own messages from our other devices get no receipts
+    messages
+      .filter(message => message.id && !message.groupId && !message.sync)
+      .forEach((message) => {
+        if (!idsBySender.has(message.from)) {
+          idsBySender.set(message.from, []);
+        }
+        idsBySender.get(message.from).push(message.id);
+      });
+    
+    return idsBySender;
+  }
+
+  /**
+   * Apply a receipt to the messages we sent. Statuses only move forward.
+   * @param {string} senderId - User that sent the receipt
+   * @param {Object} receipt - Receipt content
+   */
+  processReceipt(senderId, receipt) {
+    const rank = { sent: 0, delivered: 1, read: 2 };
+    let updated = 0;
+    
+    for (const messageId of receipt.messageIds || []) {
+      const entry = this.sentMessages.get(messageId);
+      
+      // Only the recipient of a message may report on it
+      if (entry && entry.recipient === senderId && rank[receipt.receiptType] > rank[entry.status]) {
+        entry.status = receipt.receiptType;
+        this.history.updateStatus(senderId, messageId, receipt.receiptType);
+        updated += 1;
+      }
+    }
+    
+    if (updated > 0) {
+      console.log(`${updated} message(s) ${receipt.receiptType === 'read' ? 'read by' : 'delivered to'} ${senderId}`);
+    }
+  }
+
+  /**
+   * Encrypt typed content for each of a user's devices and send it. Sending
+   * to ourselves reaches our other devices, if we have any.
+   * @param {string} recipientId - ID of the recipient
+   * @param {Object} content - Typed content
+   * @param {number} ttl - Optional time in ms after which the server drops the message if undelivered
+   */
+  async sendContent(recipientId, content, ttl) {
+    const deviceIds = await this.refreshSessions(recipientId);
+    
+    if (deviceIds.length === 0 && recipientId !== this.userId) {
+      throw new Error(`No devices of ${recipientId} to send to`);
+    }
+    
+    for (const deviceId of deviceIds) {
+      await this.sendToDevice(recipientId, deviceId, content, ttl);
+    }
+  }
+
+  /**
+   * Encrypt typed content over the pairwise session with one device and send it
+   * @param {string} recipientId - ID of the recipient
+   * @param {number} deviceId - Recipient device ID
+   * @param {Object} content - Typed content
+   * @param {number} ttl - Optional time in ms after which the server drops the message if undelivered
+   */
+  async sendToDevice(recipientId, deviceId, content, ttl) {
+    const address = getAddress(recipientId, deviceId);
+    const sessionId = this.activeSessions.get(address);
+    
+    // Sender, recipient and timestamp are authenticated along with the message
+    const encryptedMessage = this.messaging.encryptMessage(sessionId, this.encodeContent(content), {
+      sender: this.userId,
+      senderDevice: this.deviceId,
+      recipient: recipientId,
+      recipientDevice: deviceId,
+      timestamp: Date.now()
+    });
+    
+    // Seal the sender once the recipient has shared its delivery token with
+    // us. The server knows our devices belong to us, so there is no point
+    // hiding the sender from it there.
+    const deliveryToken = this.peerDeliveryTokens.get(recipientId);
+    const { remoteIdentityDhKey } = this.messaging.sessionKeys.get(sessionId);
+    const sealed = this.sealedSender && recipientId !== this.userId && deliveryToken && remoteIdentityDhKey;
+    
+    try {
+      // Send message to server
+      if (sealed) {
+        const envelope = this.messaging.sealMessage(encryptedMessage, await this.getSenderCertificate(), remoteIdentityDhKey);
+        await makeRequest(this.server, '/v1/sealed-messages', { recipient: recipientId, recipientDevice: deviceId, deliveryToken, envelope, ttl });
+      } else {
+        await this.authenticatedRequest('/v1/messages', { ...encryptedMessage, ttl });
+      }
+      
+      // Save the updated session data after encryption
+      this.saveState();
+      
+      if (content.type === 'text' || content.type === 'attachment') {
+        console.log(`Message sent to ${address}${sealed ? ' (sealed sender)' : ''}`);
+      }
+    } catch (error) {
+      if (error.code === 'device_not_found') {
+        // The device was removed since we last looked
+        this.activeSessions.delete(address);
+        this.saveState();
+        console.warn(`Device ${address} no longer exists`);
+        return;
+      }
+      console.error(`Failed to send message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a group with ourselves as admin
+   * @param {string[]} members - Other members to add
+   * @returns {Object} The new group
+   */
+  async createGroup(members) {
+    const group = await this.authenticatedRequest('/v1/groups', { members });
+    console.log(`Group ${group.groupId} created`);
+    return group;
+  }
+
+  /**
+   * Fetch a group from the server
+   * @param {string} groupId - Group ID
+   * @returns {Object} Group with its members and admins
+   */
+  async getGroup(groupId) {
+    return this.authenticatedRequest(`/v1/groups/${encodeURIComponent(groupId)}`, null, 'GET');
+  }
+
+  /**
+   * Add members to a group we administer
+   * @param {string} groupId - Group ID
+   * @param {string[]} members - Users to add
+   * @returns {Object} Updated group
+   */
+  async addGroupMembers(groupId, members) {
+    const group = await this.authenticatedRequest(`/v1/groups/${encodeURIComponent(groupId)}`, { add: members }, 'PATCH');
+    
+    // New members get our current sender key, which cannot decrypt earlier messages
+    if (this.messaging.getSenderKey(groupId, this.userId, this.deviceId)) {
+      await this.ensureSenderKey(group);
+    }
+    return group;
+  }
+
+  /**
+   * Remove members from a group we administer. Our sender key is rotated at
+   * once so removed members cannot read anything we send afterwards.
+   * @param {string} groupId - Group ID
+   * @param {string[]} members - Users to remove
+   * @returns {Object} Updated group
+   */
+  async removeGroupMembers(groupId, members) {
+    const group = await this.authenticatedRequest(`/v1/groups/${encodeURIComponent(groupId)}`, { remove: members }, 'PATCH');
+    await this.ensureSenderKey(group);
+    return group;
+  }
+
+  /**
+   * Leave a group. The other members rotate their sender keys the next time
+   * they send, so we cannot read the group any more.
+   * @param {string} groupId - Group ID
+   */
+  async leaveGroup(groupId) {
+    await this.authenticatedRequest(`/v1/groups/${encodeURIComponent(groupId)}`, { remove: [this.userId] }, 'PATCH');
+    this.messaging.forgetGroupSenderKeys(groupId);
+    this.saveState();
+    console.log(`Left group ${groupId}`);
+  }
+
+  /**
+   * Make sure every device of every current member, including our own other
+   * devices, holds this device's sender key for a group. The key is rotated
+   * whenever a device that received it has left the group or been removed;
+   * other devices rotate theirs the next time they send.
+   * @param {Object} group - Group from the server
+   */
+  async ensureSenderKey(group) {
+    const devices = [];
+    for (const member of group.members) {
+      const deviceIds = await this.refreshSessions(member);
+      deviceIds.forEach(deviceId => devices.push({ userId: member, deviceId, address: getAddress(member, deviceId) }));
+    }
+    
+    const addresses = devices.map(device => device.address);
+    const senderKey = this.messaging.getSenderKey(group.groupId, this.userId, this.deviceId);
+    let recipients;
+    
+    if (!senderKey || senderKey.distributedTo.some(address => !addresses.includes(address))) {
+      this.messaging.createSenderKey(group.groupId, this.userId, this.deviceId);
+      recipients = devices;
+      
+      if (senderKey) {
+        console.log(`Rotated sender key for group ${group.groupId}`);
+      }
+    } else {
+      recipients = devices.filter(device => !senderKey.distributedTo.includes(device.address));
+    }
+    
+    // Persist the key before anyone can receive it
+    this.saveState();
+    
+    const distribution = this.messaging.getSenderKeyDistribution(group.groupId, this.userId, this.deviceId);
+    for (const { userId, deviceId, address } of recipients) {
+      await this.sendToDevice(userId, deviceId, { type: 'sender-key', distribution });
+      this.messaging.markSenderKeyDistributed(group.groupId, this.userId, this.deviceId, [address]);
+      this.saveState();
+    }
+  }
+
+  /**
+   * Send a message to a group. It is encrypted once with our sender key and
+   * the server fans it out to the other members.
+   * @param {string} groupId - Group ID
+   * @param {string} message - Message to send
+   */
+  async sendGroupMessage(groupId, message) {
+    const messageId = crypto.randomBytes(8).toString('hex');
+    await this.sendGroupContent(groupId, { type: 'text', id: messageId, text: message });
+    
+    return messageId;
+  }
+
+  /**
+   * Encrypt typed content with our sender key and send it to a group
+   * @param {string} groupId - Group ID
+   * @param {Object} content - Text, attachment, reaction, edit or delete content
+   */
+  async sendGroupContent(groupId, content) {
+    const group = await this.getGroup(groupId);
+    await this.ensureSenderKey(group);
+    
+    const groupMessage = this.messaging.encryptGroupMessage(groupId, this.userId, this.deviceId,
+      this.messaging.encodePayload(content), Date.now());
+    this.saveState();
+    
+    try {
+      await this.authenticatedRequest(`/v1/groups/${encodeURIComponent(groupId)}/messages`, groupMessage);
+      if (content.type === 'text' || content.type === 'attachment') {
+        console.log(`Message sent to group ${groupId}`);
+      }
+      
+      this.recordHistory({
+        ...getMessageFields(content),
+        from: this.userId,
+        fromDevice: this.deviceId,
+        groupId,
+        timestamp: groupMessage.timestamp
+      });
+      this.saveHistory();
+    } catch (error) {
+      console.error(`Failed to send group message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a stable ID for a group message from a peer that does not give
+   * its messages IDs. Each sender key position is used only once.
+   * @param {Object} groupMessage - Group message
+   * @returns {string} Message ID
+   */
+  getGroupMessageId(groupMessage) {
+    return `${groupMessage.senderDevice || PRIMARY_DEVICE_ID}:${groupMessage.keyId}:${groupMessage.iteration}`;
+  }
+
+  /**
+   * Add a sent or received message to the local history, or apply an edit,
+   * deletion or reaction to the message it refers to. Those, and replies,
+   * get the text of the message they refer to as quote, for display.
+   * @param {Object} message - Message in the form returned by receiveMessages
+   */
+  recordHistory(message) {
+    // Session resets and revocations concern keys, not the conversation
+    if (message.sessionReset || message.identityRevoked) {
+      return;
+    }
+    
+    const outgoing = message.from === this.userId;
+    let conversationId = message.from;
+    
+    if (message.groupId) {
+      conversationId = getGroupConversationId(message.groupId);
+    } else if (outgoing) {
+      conversationId = message.to;
+    }
+    
+    const target = message.reaction ? message.reaction.messageId : (message.edit || message.deleted || message.replyTo);
+    const targetEntry = target ? this.history.find(conversationId, target) : null;
+    if (targetEntry) {
+      message.quote = getQuote(targetEntry);
+    }
+    
+    if (message.reaction) {
+      this.history.applyReaction(conversationId, message.reaction.messageId, message.from, message.reaction.emoji);
+      return;
+    }
+    if (message.edit) {
+      this.history.applyEdit(conversationId, message.edit, message.from, message.content);
+      return;
+    }
+    if (message.deleted) {
+      this.history.applyDelete(conversationId, message.deleted, message.from);
+      return;
+    }
+    
+    this.history.add(conversationId, {
+      id: message.id,
+      direction: outgoing ? 'out' : 'in',
+      from: message.from,
+      fromDevice: message.fromDevice,
+      to: message.groupId || (outgoing ? message.to : this.userId),
+      text: message.content,
+      // Keys stay out of the history; saving goes through receivedAttachments
+      attachment: message.attachment
+        ? { filename: message.attachment.filename, size: message.attachment.size }
+        : undefined,
+      replyTo: message.replyTo,
+      timer: message.timer,
+      timestamp: message.timestamp,
+      status: outgoing ? 'sent' : 'received',
+      expiresAt: message.expiresAt
+    });
+  }
+
+  /**
+   * Write the local history to disk
+   */
+  saveHistory() {
+    try {
+      this.history.save();
+    } catch (error) {
+      console.error(`Failed to save history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a user or group ID typed by the user to a conversation ID
+   * @param {string} name - Peer user ID or group ID
+   * @returns {string} Conversation ID
+   */
+  getConversationId(name) {
+    const groupConversationId = getGroupConversationId(name);
+    return this.history.hasConversation(groupConversationId) ? groupConversationId : name;
+  }
+
+  /**
+   * Get the latest messages of a conversation
+   * @param {string} name - Peer user ID or group ID
+   * @param {number} limit - Maximum number of messages
+   * @returns {Object[]} Messages, oldest first
+   */
+  getHistory(name, limit = DEFAULT_HISTORY_LENGTH) {
+    const conversationId = this.getConversationId(name);
+    
+    return this.history.getConversation(conversationId, limit).map((entry) => {
+      const original = entry.replyTo ? this.history.find(conversationId, entry.replyTo) : null;
+      return original ? { ...entry, quote: getQuote(original) } : entry;
+    });
+  }
+
+  /**
+   * Search the local history
+   * @param {string} text - Text to look for (case-insensitive)
+   * @returns {Object[]} Matching messages, oldest first
+   */
+  searchHistory(text) {
+    return this.history.search(text);
+  }
+
+  /**
+   * Set how long a conversation's messages are kept locally
+   * @param {string} name - Peer user ID or group ID
+   * @param {number|null} days - Days to keep messages, or null to keep them forever
+   * @returns {number} Number of messages deleted straight away
+   */
+  setRetention(name, days) {
+    const conversationId = this.getConversationId(name);
+    const before = this.history.getConversation(conversationId, Infinity).length;
+    
+    this.history.setRetention(conversationId, days ? days * 24 * 60 * 60 * 1000 : null);
+    this.saveHistory();
+    
+    return before - this.history.getConversation(conversationId, Infinity).length;
+  }
+
+  /**
+   * Delete expired disappearing messages, including the keys of their
+   * attachments, and history past each conversation's retention
+   */
+  pruneHistory() {
+    const now = Date.now();
+    
+    if (this.history.prune(now) > 0) {
+      this.saveHistory();
+    }
+    
+    const expired = Array.from(this.receivedAttachments.entries())
+      .filter(([, entry]) => entry.expiresAt <= now)
+      .map(([messageId]) => messageId);
+    if (expired.length > 0) {
+      expired.forEach(messageId => this.dropReceivedAttachment(messageId));
+      this.saveState();
+    }
+  }
+
+  /**
+   * Listen for new messages on the server's event stream. Messages are
+   * fetched and decrypted as soon as the server reports them, and the stream
+   * is reopened with exponential backoff whenever it drops.
+   * @param {Function} onMessages - Called with each batch of decrypted messages
+   */
+  subscribe(onMessages) {
+    this.onMessages = onMessages;
+    this.connectEventStream();
+  }
+
+  /**
+   * Close the event stream and stop reconnecting
+   */
+  unsubscribe() {
+    this.onMessages = null;
+    clearTimeout(this.reconnectTimer);
+    
+    if (this.eventStream) {
+      const stream = this.eventStream;
+      this.eventStream = null;
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Open this device's event stream, signed with its identity key
+   */
+  connectEventStream() {
+    const req = this.server.transport.request({
+      ...this.server.requestOptions,
+      path: '/v1/account/events',
+      method: 'GET',
+      headers: createAuthHeaders(this.userId, this.deviceId, this.messaging.identityKeyPair.privateKey, 'GET', '/v1/account/events', '')
+    }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        req.destroy(new Error(`Event stream rejected with status ${res.statusCode}`));
+        return;
+      }
+      
+      // Connected, so the next drop starts over with a short delay
+      this.reconnectDelay = EVENT_STREAM_MIN_BACKOFF;
+      
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        
+        // Events are separated by a blank line; comment lines are heartbeats
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const event = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          
+          if (/^event: messages$/m.test(event)) {
+            this.fetchPushedMessages();
+          }
+        }
+      });
+    });
+    
+    req.setTimeout(EVENT_STREAM_IDLE_TIMEOUT, () => {
+      req.destroy(new Error('Event stream timed out'));
+    });
+    
+    req.on('error', (error) => {
+      if (this.eventStream === req) {
+        console.error(`Event stream error: ${error.message}`);
+      }
+    });
+    
+    req.on('close', () => {
+      // Closed on purpose, or already replaced by a newer connection
+      if (this.eventStream !== req) {
+        return;
+      }
+      
+      this.eventStream = null;
+      this.scheduleReconnect();
+    });
+    
+    req.end();
+    this.eventStream = req;
+  }
+
+  /**
+   * Reopen the event stream after a delay, backing off exponentially with jitter
+   */
+  scheduleReconnect() {
+    const delay = Math.round(this.reconnectDelay * (0.8 + Math.random() * 0.4));
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, EVENT_STREAM_MAX_BACKOFF);
+    
+    console.warn(`Event stream disconnected, reconnecting in ${(delay / 1000).toFixed(1)}s`);
+    this.reconnectTimer = setTimeout(() => this.connectEventStream(), delay);
+  }
+
+  /**
+   * Receive messages once any fetch already running has finished. Fetches
+   * run one at a time so the ratchet state is never updated by two batches
+   * at once.
+   * @returns {Promise<Object[]>} Decrypted messages
+   */
+  fetchMessages() {
+    const fetched = this.receiving.then(() => this.receiveMessages());
+    
+    // The caller sees a failure; the fetches queued after it still run
+    this.receiving = fetched.catch(() => {});
+    return fetched;
+  }
+
+  /**
+   * Fetch the messages the event stream reported and pass them to the subscriber
+   */
+  fetchPushedMessages() {
+    this.receiving = this.fetchMessages().then(async (messages) => {
+      if (messages.length > 0 && this.onMessages) {
+        await this.onMessages(messages);
+      }
+    }).catch((error) => {
+      console.error(`Failed to handle pushed messages: ${error.message}`);
+    });
+  }
+
+  /**
+   * Receive and process messages
+   */
+  async receiveMessages() {
+    try {
+      // Get messages from server
+      const response = await this.authenticatedRequest('/v1/account/messages', null, 'GET');
+      const messages = response.messages || [];
+      
+      if (messages.length === 0) {
+        return [];
+      }
+      
+      // Sealed senders are vouched for by the server's certificate key
+      const certificateKey = messages.some(message => message.sealed) ? await this.getCertificateKey() : null;
+      
+      const decryptedMessages = [];
+      let acceptedSessions = 0;
+      
+      // Server IDs of messages we are done with: processed, replays of
+      // messages processed before, or undecryptable. Anything else stays
+      // queued for redelivery.
+      const processedIds = [];
+      
+      // Devices whose messages we could not decrypt, by address
+      const brokenSessions = new Map();
+      
+      for (const queuedMessage of messages) {
+        let message = queuedMessage;
+        
+        // Group messages are decrypted with the sender key the member gave us
+        if (queuedMessage.group) {
+          try {
+            const content = this.messaging.decodePayload(this.messaging.decryptGroupMessage(queuedMessage));
+            
+            if (this.contacts.isBlocked(queuedMessage.sender)) {
+              console.log(`Dropped group message from blocked user ${queuedMessage.sender}`);
+            } else if (USER_CONTENT_TYPES.includes(content.type)) {
+              const messageId = content.id || this.getGroupMessageId(queuedMessage);
+              if (content.type === 'attachment') {
+                this.trackReceivedAttachment(messageId, queuedMessage.sender, content.attachment);
+              }
+              if (content.type === 'delete') {
+                this.forgetAttachment(content.messageId, queuedMessage.sender);
+              }
+              
+              decryptedMessages.push({
+                ...getMessageFields(content, messageId),
+                from: queuedMessage.sender,
+                fromDevice: queuedMessage.senderDevice,
+                groupId: queuedMessage.groupId,
+                timestamp: queuedMessage.timestamp
+              });
+            } else {
+              console.warn(`Ignoring ${content.type} group message from ${queuedMessage.sender}`);
+            }
+            
+            // Save the advanced sender key
+            this.saveState();
+            processedIds.push(queuedMessage.id);
+          } catch (error) {
+            if (error instanceof ReplayError) {
+              processedIds.push(queuedMessage.id);
+              console.warn(`Ignoring replayed group message from ${queuedMessage.sender}`);
+            } else {
+              console.error(`Failed to decrypt group message from ${queuedMessage.sender}: ${error.message}`);
+            }
+          }
+          continue;
+        }
+        
+        // Sealed messages carry the sender and its certificate inside the envelope
+        if (queuedMessage.sealed) {
+          try {
+            const { certificate, messagePackage } = this.messaging.unsealMessage(queuedMessage.envelope, certificateKey);
+            this.checkDeviceIdentity(certificate.sender, certificate.senderDevice || PRIMARY_DEVICE_ID,
+              certificate.identityKey, certificate.deviceCertificate);
+            message = messagePackage;
+          } catch (error) {
+            // A changed identity waits for the user to trust the new key;
+            // anything else will fail the same way every time, so drop it
+            if (error instanceof IdentityChangedError) {
+              this.saveState();
+            } else {
+              processedIds.push(queuedMessage.id);
+            }
+            console.error(`Failed to open sealed message: ${error.message}`);
+            continue;
+          }
+        }
+        
+        const senderDevice = message.senderDevice || PRIMARY_DEVICE_ID;
+        let plaintext;
+        
+        try {
+          // Accept the sender's session from its pre-key header if we don't have it yet
+          if (!this.messaging.sessionKeys.has(message.sessionId)) {
+            if (!message.preKeyHeader) {
+              // The sender has a session we no longer know; only a reset helps
+              console.error(`No session for message from ${message.sender}`);
+              processedIds.push(queuedMessage.id);
+              brokenSessions.set(getAddress(message.sender, senderDevice), { userId: message.sender, deviceId: senderDevice });
+              continue;
+            }
+            
+            try {
+              // The header is only authentic once the message decrypts, so
+              // check that before trusting the identity it names
+              const { identityKey, deviceCertificate } = message.preKeyHeader;
+              this.messaging.decryptFirstMessage(message.sender, message, senderDevice);
+              this.checkDeviceIdentity(message.sender, senderDevice, identityKey, deviceCertificate);
+              
+              // The session is only kept if this first message decrypts
+              plaintext = this.messaging.acceptSession(message.sender, message, senderDevice);
+              this.activeSessions.set(getAddress(message.sender, senderDevice), message.sessionId);
+              acceptedSessions += 1;
+            } catch (error) {
+              // A changed identity waits for the user to trust the new key, a
+              // revoked one is dropped; anything else means the pre-key
+              // message is unusable. Anyone can forge one, so it only leads
+              // to a reset when there is no working session to lose.
+              if (error instanceof IdentityChangedError) {
+                this.saveState();
+              } else if (error instanceof RevokedIdentityError) {
+                processedIds.push(queuedMessage.id);
+              } else {
+                processedIds.push(queuedMessage.id);
+                if (!this.activeSessions.has(getAddress(message.sender, senderDevice))) {
+                  brokenSessions.set(getAddress(message.sender, senderDevice), { userId: message.sender, deviceId: senderDevice });
+                }
+              }
+              console.error(`Failed to establish session with ${message.sender}: ${error.message}`);
+              continue;
+            }
+          } else {
+            plaintext = this.messaging.decryptMessage(message);
+          }
+          const content = this.messaging.decodePayload(plaintext);
+          
+          // Remember the sender's token so we can reply with sealed sender
+          if (content.deliveryToken && message.sender !== this.userId) {
+            this.peerDeliveryTokens.set(message.sender, content.deliveryToken);
+          }
+          
+          // Sender keys are kept even from blocked users, so their group
+          // messages can be decrypted and dropped instead of staying queued
+          if (content.type === 'sender-key') {
+            this.messaging.processSenderKeyDistribution(message.sender, senderDevice, content.distribution);
+          } else if (this.contacts.isBlocked(message.sender)) {
+            // Decrypted only to keep the session in step with the sender's
+            console.log(`Dropped message from blocked user ${message.sender}`);
+          } else if (content.type === 'receipt') {
+            this.processReceipt(message.sender, content);
+          } else if (content.type === 'sync') {
+            // Only our own devices may tell us what we sent
+            if (message.sender !== this.userId) {
+              console.warn(`Ignoring sync message from ${message.sender}`);
+            } else {
+              // Content that is not an object is ignored like an unknown type
+              const { destination } = content;
+              const sent = content.content && typeof content.content === 'object' ? content.content : {};
+              
+              if (sent.type === 'timer') {
+                if (isValidTimer(sent.duration) || sent.duration === null) {
+                  decryptedMessages.push({
+                    ...this.applyDisappearingTimer(destination, sent.duration, this.userId, message.timestamp),
+                    sync: true
+                  });
+                }
+              } else if (USER_CONTENT_TYPES.includes(sent.type) && isValidPayload(sent)) {
+                const expiresAt = getExpiry(message.timestamp, sent.expireTimer);
+                if (sent.id) {
+                  this.trackSentMessage(sent.id, destination);
+                }
+                if (sent.attachment) {
+                  this.trackReceivedAttachment(sent.id, this.userId, sent.attachment, expiresAt);
+                }
+                if (sent.type === 'delete') {
+                  this.forgetAttachment(sent.messageId, this.userId);
+                }
+                
+                decryptedMessages.push({
+                  ...getMessageFields(sent),
+                  from: this.userId,
+                  fromDevice: senderDevice,
+                  to: destination,
+                  timestamp: message.timestamp,
+                  expiresAt,
+                  sync: true
+                });
+              }
+            }
+          } else if (content.type === 'identity-revoked') {
+            // The sender no longer stands behind the key our sessions rest
+            // on; whatever key comes next has to be accepted with "trust"
+            if (message.sender !== this.userId && this.trustStore.markRevoked(message.sender)) {
+              this.getSessionDevices(message.sender).forEach((deviceId) => {
+                this.activeSessions.delete(getAddress(message.sender, deviceId));
+                this.messaging.endSessions(message.sender, deviceId);
+                this.messaging.forgetSenderKeyDistribution(getAddress(message.sender, deviceId));
+              });
+              this.peerDeliveryTokens.delete(message.sender);
+              
+              decryptedMessages.push({
+                from: message.sender,
+                fromDevice: senderDevice,
+                identityRevoked: { reason: content.reason === 'deleted' ? 'deleted' : 'revoked' },
+                timestamp: message.timestamp
+              });
+            }
+          } else if (content.type === 'session-reset') {
+            // The sender started over with this session; drop the old ones
+            this.messaging.endSessions(message.sender, senderDevice, message.sessionId);
+            this.activeSessions.set(getAddress(message.sender, senderDevice), message.sessionId);
+            
+            decryptedMessages.push({
+              from: message.sender,
+              fromDevice: senderDevice,
+              sessionReset: { by: message.sender, reason: content.reason },
+              timestamp: message.timestamp
+            });
+          } else if (content.type === 'timer') {
+            if (isValidTimer(content.duration) || content.duration === null) {
+              decryptedMessages.push(this.applyDisappearingTimer(message.sender, content.duration, message.sender, message.timestamp));
+            } else {
+              console.warn(`Ignoring invalid timer from ${message.sender}`);
+            }
+          } else if (USER_CONTENT_TYPES.includes(content.type)) {
+            const expiresAt = getExpiry(message.timestamp, content.expireTimer);
+            if (content.type === 'attachment') {
+              this.trackReceivedAttachment(content.id, message.sender, content.attachment, expiresAt);
+            }
+            if (content.type === 'delete') {
+              this.forgetAttachment(content.messageId, message.sender);
+            }
+            
+            decryptedMessages.push({
+              ...getMessageFields(content),
+              from: message.sender,
+              fromDevice: senderDevice,
+              timestamp: message.timestamp,
+              expiresAt,
+              sealed: Boolean(queuedMessage.sealed)
+            });
+          } else {
+            console.warn(`Ignoring ${content.type} message from ${message.sender}`);
+          }
+          
+          // Save the updated session data after decryption, and only then
+          // let the server forget the message
+          this.saveState();
+          processedIds.push(queuedMessage.id);
+        } catch (error) {
+          if (error instanceof ReplayError) {
+            processedIds.push(queuedMessage.id);
+            console.warn(`Ignoring replayed message from ${message.sender}`);
+          } else if (plaintext === undefined) {
+            // The session is out of step with the sender's (or the message
+            // was tampered with); it will not decrypt on a second try either
+            processedIds.push(queuedMessage.id);
+            brokenSessions.set(getAddress(message.sender, senderDevice), { userId: message.sender, deviceId: senderDevice });
+            console.error(`Failed to decrypt message from ${message.sender}: ${error.message}`);
+          } else {
+            console.error(`Failed to process message from ${message.sender}: ${error.message}`);
+          }
+        }
+      }
+      
+      // Record the messages before the server forgets them
+      decryptedMessages.forEach(message => this.recordHistory(message));
+      this.saveHistory();
+      
+      if (processedIds.length > 0) {
+        try {
+          await this.authenticatedRequest('/v1/account/messages/ack', { ids: processedIds });
+        } catch (error) {
+          // The messages come back and are recognized as replays next time
+          console.error(`Failed to acknowledge messages: ${error.message}`);
+        }
+      }
+      
+      for (const [senderId, messageIds] of this.groupMessageIdsBySender(decryptedMessages)) {
+        await this.sendReceipt(senderId, 'delivered', messageIds);
+      }
+      
+      // Start over with devices whose messages we cannot decrypt, so the
+      // conversation recovers instead of failing on every message
+      for (const [address, { userId, deviceId }] of brokenSessions) {
+        if (this.contacts.isBlocked(userId) ||
+          Date.now() - (this.sessionResets.get(address) || 0) < SESSION_RESET_INTERVAL) {
+          continue;
+        }
+        
+        try {
+          await this.resetSession(userId, [deviceId], 'decrypt-failed');
+          decryptedMessages.push({
+            from: userId,
+            fromDevice: deviceId,
+            sessionReset: { by: this.userId, reason: 'decrypt-failed' },
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error(`Failed to reset session with ${address}: ${error.message}`);
+        }
+      }
+      
+      // Accepted sessions consumed one-time pre-keys on the server
+      if (acceptedSessions > 0) {
+        await this.replenishPreKeys();
+      }
+      
+      return decryptedMessages;
+    } catch (error) {
+      console.error(`Failed to receive messages: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+/**
+ * Convert user-visible content to the fields of a message returned by
+ * receiveMessages
+ * @param {Object} content - Text, attachment, reaction, edit or delete content
+ * @param {string} fallbackId - Message ID for text and attachments that carry none
+ * @returns {Object} Message fields
+ */
+function getMessageFields(content, fallbackId) {
+  switch (content.type) {
+    case 'reaction':
+      return { reaction: { messageId: content.messageId, emoji: content.emoji } };
+    case 'edit':
+      return { edit: content.messageId, content: content.text };
+    case 'delete':
+      return { deleted: content.messageId };
+    default:
+      return {
+        id: content.id || fallbackId,
+        content: content.text,
+        attachment: content.attachment,
+        replyTo: content.replyTo
+      };
+  }
+}
+
+/**
+ * Get the text to quote for a history entry that another message refers to
+ * @param {Object} entry - History entry
+ * @returns {string} Quoted text
+ */
+function getQuote(entry) {
+  if (entry.deleted) {
+    return 'deleted message';
+  }
+  return entry.attachment ? entry.attachment.filename : entry.text;
+}
+
+/**
+ * Shorten quoted text for printing
+ * @param {string} text - Quoted text
+ * @returns {string} Quote in double quotes, cut to QUOTE_LENGTH characters
+ */
+function formatQuote(text) {
+  return text && text.length > QUOTE_LENGTH ? `"${text.slice(0, QUOTE_LENGTH)}..."` : `"${text || ''}"`;
+}
+
+/**
+ * Get when a disappearing message expires
+ * @param {number} timestamp - Time the message was sent
+ * @param {number} expireTimer - Timer the message was sent with, if any
+ * @returns {number|undefined} Expiry time in ms, or undefined if the message does not disappear
+ */
+function getExpiry(timestamp, expireTimer) {
+  return isValidTimer(expireTimer) ? timestamp + expireTimer : undefined;
+}
+
+/**
+ * Check that a disappearing message timer is within the allowed range
+ * @param {*} duration - Timer in ms
+ * @returns {boolean} True if the timer is valid
+ */
+function isValidTimer(duration) {
+  return Number.isInteger(duration) && duration >= MIN_DISAPPEARING_TIMER && duration <= MAX_DISAPPEARING_TIMER;
+}
+
+/**
+ * Parse a duration such as "30s", "5m", "1h", "1d" or "1w"
+ * @param {string} text - Duration
+ * @returns {number|null} Duration in ms, or null if it cannot be parsed
+ */
+function parseDuration(text) {
+  const match = /^(\d+)([a-z])$/.exec(text || '');
+  const unit = match ? DURATION_UNITS.find(([name]) => name === match[2]) : null;
+  return unit ? Number(match[1]) * unit[1] : null;
+}
+
+/**
+ * Format a duration in the largest unit that divides it evenly
+ * @param {number} duration - Duration in ms
+ * @returns {string} Duration such as "1h"
+ */
+function formatDuration(duration) {
+  const [name, size] = DURATION_UNITS.find(([, unitSize]) => duration % unitSize === 0) || ['ms', 1];
+  return `${duration / size}${name}`;
+}
+
+/**
+ * Describe a change of a conversation's disappearing message timer
+ * @param {number|null} timer - New timer in ms, or null for off
+ * @returns {string} Description
+ */
+function describeTimer(timer) {
+  return timer ? `set disappearing messages to ${formatDuration(timer)}` : 'turned off disappearing messages';
+}
+
+/**
+ * Describe a session reset notice
+ * @param {Object} msg - Notice returned by receiveMessages
+ * @returns {string} Description
+ */
+function describeSessionReset(msg) {
+  const address = getAddress(msg.from, msg.fromDevice);
+  
+  if (msg.sessionReset.by === msg.from) {
+    const cause = msg.sessionReset.reason === 'decrypt-failed' ? ' because it could not decrypt a message; resend anything unanswered' : '';
+    return `${address} reset the secure session${cause}`;
+  }
+  return `Could not decrypt a message from ${address}; the secure session was reset`;
+}
+
+/**
+ * Print decrypted messages to the console
+ * @param {Array} messages - Messages returned by receiveMessages
+ */
+function printMessages(messages) {
+  console.log('\nNew Messages:');
+  messages.forEach(msg => {
+    const date = new Date(msg.timestamp);
+    const to = msg.sync ? ` -> ${msg.to}` : '';
+    const from = msg.groupId ? `${msg.from} @ ${msg.groupId}` : `${msg.from}${to}`;
+    const target = msg.quote !== undefined ? formatQuote(msg.quote) : 'a message';
+    
+    if (msg.sessionReset) {
+      console.log(`[${date.toLocaleString()}] ${describeSessionReset(msg)}`);
+    } else if (msg.identityRevoked) {
+      const action = msg.identityRevoked.reason === 'deleted' ? 'deleted their account' : 'revoked their identity key';
+      console.log(`[${date.toLocaleString()}] ${msg.from} ${action}; any new key must be checked with "verify ${msg.from}"`);
+    } else if (msg.timer !== undefined) {
+      console.log(`[${date.toLocaleString()}] ${from} ${describeTimer(msg.timer)}`);
+    } else if (msg.reaction) {
+      const action = msg.reaction.emoji ? `reacted ${msg.reaction.emoji} to` : 'removed a reaction from';
+      console.log(`[${date.toLocaleString()}] ${from} ${action} ${target}`);
+    } else if (msg.edit) {
+      console.log(`[${date.toLocaleString()}] ${from} edited ${target}: ${msg.content}`);
+    } else if (msg.deleted) {
+      console.log(`[${date.toLocaleString()}] ${from} deleted ${target}`);
+    } else {
+      const reply = msg.replyTo ? `(reply to ${msg.quote !== undefined ? target : `#${msg.replyTo}`}) ` : '';
+      let text = msg.attachment
+        ? `[file] ${msg.attachment.filename} (${msg.attachment.size} bytes) - "save ${msg.id}" to download`
+        : msg.content;
+      
+      if (msg.expiresAt) {
+        text += ` (disappears ${new Date(msg.expiresAt).toLocaleString()})`;
+      }
+      console.log(`[${date.toLocaleString()}] #${msg.id} ${from}: ${reply}${text}`);
+    }
+  });
+}
+
+/**
+ * Print entries of the local message history
+ * @param {Object[]} entries - History entries
+ * @param {boolean} showConversation - Prefix each entry with its conversation
+ */
+function printHistory(entries, showConversation = false) {
+  entries.forEach((entry) => {
+    const date = new Date(entry.timestamp);
+    const conversation = showConversation ? `(${entry.conversationId}) ` : '';
+    
+    if (entry.timer !== undefined) {
+      console.log(`[${date.toLocaleString()}] ${conversation}${entry.from} ${describeTimer(entry.timer)}`);
+      return;
+    }
+    
+    const status = entry.direction === 'out' ? ` [${entry.status}]` : '';
+    const reply = entry.replyTo ? `(reply to ${entry.quote !== undefined ? formatQuote(entry.quote) : `#${entry.replyTo}`}) ` : '';
+    const reactions = Object.entries(entry.reactions || {}).map(([userId, emoji]) => `${emoji} ${userId}`);
+    
+    let text = entry.attachment
+      ? `[file] ${entry.attachment.filename} (${entry.attachment.size} bytes)`
+      : entry.text;
+    if (entry.deleted) {
+      text = '(deleted)';
+    } else if (entry.edited) {
+      text += ' (edited)';
+    }
+    if (reactions.length > 0) {
+      text += ` {${reactions.join(', ')}}`;
+    }
+    
+    const id = entry.id ? `#${entry.id} ` : '';
+    console.log(`[${date.toLocaleString()}] ${id}${conversation}${entry.from}: ${reply}${text}${status}`);
+  });
+}
+
+/**
+ * Ask a question without echoing the answer, for passphrases
+ * @param {readline.Interface} rl - Readline interface
+ * @param {string} query - Prompt to show
+ * @param {Function} callback - Called with the answer
+ */
+function questionHidden(rl, query, callback) {
+  const writeToOutput = rl._writeToOutput;
+  
+  // Show the prompt and line breaks, never the typed characters
+  rl._writeToOutput = (text) => {
+    writeToOutput.call(rl, text.startsWith(query) ? query : text.replace(/[^\r\n]/g, ''));
+  };
+  
+  rl.question(query, (answer) => {
+    rl._writeToOutput = writeToOutput;
+    callback(answer);
+  });
+}
+
+/**
+ * Interactive CLI client for the secure messaging system
+ * @param {Object} options - Optional settings
+ * @param {string} options.device - Local name for this device, so several devices of a user can share a directory
+ * @param {boolean} options.link - Add this device to an existing account instead of creating one
+ * @param {string} options.serverUrl - Server URL
+ * @param {string} options.ca - Path of a certificate authority (or self-signed certificate) to trust
+ * @param {string[]} options.pins - Public key pins the server must match
+ * @param {string} options.certificateKey - Path of the server's sender certificate key
+ */
+async function startInteractiveClient(options = {}) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  
+  console.log('Secure Messaging System');
+  console.log('======================');
+  
+  rl.question('Enter your user ID: ', (userId) => questionHidden(rl, 'Enter your passphrase: ', async (passphrase) => {
+    try {
+      const keystoreName = options.device ? `${userId}-${options.device}` : userId;
+      const client = new SecureMessagingClient(userId, {
+        keystorePath: path.join(__dirname, `${keystoreName}-keystore.json`),
+        historyPath: path.join(__dirname, `${keystoreName}-history.json`),
+        serverUrl: options.serverUrl,
+        ca: options.ca ? fs.readFileSync(options.ca) : null,
+        pins: options.pins,
+        certificateKey: options.certificateKey ? fs.readFileSync(options.certificateKey, 'utf8') : null
+      });
+      await client.initialize(passphrase, {
+        onLinkCode: options.link ? (code) => {
+          console.log(`\nOn your primary device, run: device link ${code}`);
+          console.log('Waiting for approval...');
+        } : null
+      });
+      
+      console.log('\nCommands:');
+      console.log('  send <userId> <message> - Send a message');
+      console.log('  sendfile <userId> <path> - Send a file');
+      console.log('  save <messageId> [path] - Download a received file');
+      console.log('  receive - Check for new messages (new messages are also shown as they arrive)');
+      console.log('  contacts - List your contacts and blocked users');
+      console.log('  add <userId> [nickname] - Add a registered user to your contacts, or rename a contact');
+      console.log('  block <userId> - Drop all messages from a user');
+      console.log('  unblock <userId> - Receive messages from a blocked user again');
+      console.log('  verify <userId> [confirm] - Show the safety number, or mark the contact verified');
+      console.log('  trust <userId> - Accept a contact\'s changed identity key');
+      console.log('  reset <userId> - Start new secure sessions with a contact\'s devices');
+      console.log('  group create <userId...> - Create a group with the given members');
+      console.log('  group add <groupId> <userId...> - Add members to a group');
+      console.log('  group remove <groupId> <userId...> - Remove members from a group');
+      console.log('  group leave <groupId> - Leave a group');
+      console.log('  gsend <groupId> <message> - Send a message to a group');
+      console.log('  reply <messageId> <message> - Reply to a message');
+      console.log('  react <messageId> [emoji] - React to a message, or take your reaction back');
+      console.log('  edit <messageId> <message> - Change a message you sent');
+      console.log('  delete <messageId> - Delete a message you sent for everyone');
+      console.log('  history <userId|groupId> [n] - Show the last n messages of a conversation');
+      console.log('  search <text> - Search your message history');
+      console.log('  retention <userId|groupId> <days|off> - Delete a conversation\'s messages after a number of days');
+      console.log('  timer <userId> <duration|off> - Make messages in a conversation disappear (e.g. 30s, 5m, 1h, 1d, 1w)');
+      console.log('  devices - List the devices of your account');
+      console.log('  device link <code> - Approve a new device (primary device only)');
+      console.log('  device revoke <deviceId> - Remove a device from your account');
+      console.log('  revoke-key confirm - Replace a compromised identity key (primary device only)');
+      console.log('  delete-account confirm - Delete your account and local data (primary device only)');
+      console.log('  exit - Exit the application');
+      console.log('');
+      
+      // Keep the signed pre-key fresh for long-running sessions
+      setInterval(() => client.rotateSignedPreKeyIfDue(), SIGNED_PRE_KEY_CHECK_INTERVAL).unref();
+      setInterval(() => client.pruneHistory(), HISTORY_PRUNE_INTERVAL).unref();
+      
+      // Print messages as the server pushes them, then restore the prompt
+      client.subscribe(async (messages) => {
+        printMessages(messages);
+        rl.prompt(true);
+        await client.markRead(messages);
+      });
+      
+      rl.prompt();
+      
+      rl.on('line', async (line) => {
+        const [command, ...args] = line.trim().split(' ');
+        
+        try {
+          switch (command.toLowerCase()) {
+            case 'send': {
+              const recipientId = args[0];
+              const message = args.slice(1).join(' ');
+              
+              if (!recipientId || !message) {
+                console.log('Usage: send <userId> <message>');
+                break;
+              }
+              
+              await client.sendMessage(recipientId, message);
+              break;
             }
             
-            case 'users': {
-              const users = await client.listUsers();
+            case 'sendfile': {
+              const [recipientId, ...pathParts] = args;
+              const filePath = pathParts.join(' ');
               
-              if (users.length === 0) {
-                console.log('No other users registered');
+              if (!recipientId || !filePath) {
+                console.log('Usage: sendfile <userId> <path>');
+                break;
+              }
+              
+              await client.sendFile(recipientId, filePath);
+              break;
+            }
+            
+            case 'save': {
+              const [messageId, ...pathParts] = args;
+              
+              if (!messageId) {
+                console.log('Usage: save <messageId> [path]');
+                break;
+              }
+              
+              const savedPath = await client.saveAttachment(messageId, pathParts.join(' ') || null);
+              console.log(`Saved to ${savedPath}`);
+              break;
+            }
+            
+            case 'receive': {
+              const messages = await client.fetchMessages();
+              
+              if (messages.length === 0) {
+                console.log('No new messages');
+              } else {
+                printMessages(messages);
+                await client.markRead(messages);
+              }
+              break;
+            }
+            
+            case 'contacts': {
+              const contacts = client.listContacts();
+              
+              if (contacts.length === 0) {
+                console.log('No contacts yet; add one with "add <userId> [nickname]"');
               } else {
-                console.log('\nRegistered Users:');
-                users.forEach(user => {
-                  console.log(`- ${user}`);
+                console.log('\nContacts:');
+                contacts.forEach((contact) => {
+                  console.log(`- ${client.contacts.getDisplayName(contact.userId)}${contact.blocked ? ' [blocked]' : ''}`);
                 });
               }
               break;
             }
             
+            case 'add': {
+              const userId = args[0];
+              const nickname = args.slice(1).join(' ') || null;
+              
+              if (!userId) {
+                console.log('Usage: add <userId> [nickname]');
+                break;
+              }
+              
+              await client.addContact(userId, nickname);
+              console.log(`${client.contacts.getDisplayName(userId)} is in your contacts`);
+              break;
+            }
+            
+            case 'block':
+            case 'unblock': {
+              const userId = args[0];
+              
+              if (!userId) {
+                console.log(`Usage: ${command.toLowerCase()} <userId>`);
+                break;
+              }
+              
+              if (command.toLowerCase() === 'block') {
+                console.log(client.blockUser(userId) ? `${userId} blocked` : `${userId} is already blocked`);
+              } else {
+                console.log(client.unblockUser(userId) ? `${userId} unblocked` : `${userId} is not blocked`);
+              }
+              break;
+            }
+            
+            case 'verify': {
+              const userId = args[0];
+              
+              if (!userId) {
+                console.log('Usage: verify <userId> [confirm]');
+                break;
+              }
+              
+              if (args[1] === 'confirm') {
+                client.markVerified(userId);
+                console.log(`${userId} marked as verified`);
+                break;
+              }
+              
+              const { safetyNumber, verified, revoked, pendingSafetyNumber } = client.getSafetyNumber(userId);
+              console.log(`\nSafety number with ${userId}${verified ? ' (verified)' : ''}${revoked ? ' (revoked)' : ''}:`);
+              console.log(safetyNumber);
+              
+              if (pendingSafetyNumber) {
+                console.log(`\n${userId} has presented a NEW identity key. New safety number:`);
+                console.log(pendingSafetyNumber);
+                console.log(`Run "trust ${userId}" once you have confirmed it`);
+              }
+              break;
+            }
+            
+            case 'trust': {
+              const userId = args[0];
+              
+              if (!userId) {
+                console.log('Usage: trust <userId>');
+                break;
+              }
+              
+              client.trustIdentity(userId);
+              console.log(`Accepted the new identity key of ${userId}`);
+              break;
+            }
+            
+            case 'reset': {
+              const userId = args[0];
+              
+              if (!userId) {
+                console.log('Usage: reset <userId>');
+                break;
+              }
+              
+              const deviceIds = await client.resetSession(userId);
+              if (deviceIds.length === 0) {
+                console.log(`No devices of ${userId} to reset`);
+              }
+              break;
+            }
+            
+            case 'group': {
+              const [action, ...rest] = args;
+              
+              if (action === 'create') {
+                const group = await client.createGroup(rest);
+                console.log(`Members: ${group.members.join(', ')}`);
+              } else if ((action === 'add' || action === 'remove') && rest.length >= 2) {
+                const [groupId, ...members] = rest;
+                const group = action === 'add'
+                  ? await client.addGroupMembers(groupId, members)
+                  : await client.removeGroupMembers(groupId, members);
+                console.log(`Members of ${groupId}: ${group.members.join(', ')}`);
+              } else if (action === 'leave' && rest.length === 1) {
+                await client.leaveGroup(rest[0]);
+              } else {
+                console.log('Usage: group create <userId...> | group add <groupId> <userId...> | group remove <groupId> <userId...> | ' +
+                  'group leave <groupId>');
+              }
+              break;
+            }
+            
+            case 'gsend': {
+              const groupId = args[0];
+              const message = args.slice(1).join(' ');
+              
+              if (!groupId || !message) {
+                console.log('Usage: gsend <groupId> <message>');
+                break;
+              }
+              
+              await client.sendGroupMessage(groupId, message);
+              break;
+            }
+            
+            case 'reply':
+            case 'edit': {
+              const messageId = args[0];
+              const message = args.slice(1).join(' ');
+              
+              if (!messageId || !message) {
+                console.log(`Usage: ${command.toLowerCase()} <messageId> <message>`);
+                break;
+              }
+              
+              if (command.toLowerCase() === 'reply') {
+                await client.reply(messageId, message);
+                console.log('Reply sent');
+              } else {
+                await client.editMessage(messageId, message);
+                console.log('Message edited');
+              }
+              break;
+            }
+            
+            case 'react': {
+              const [messageId, emoji = ''] = args;
+              
+              if (!messageId) {
+                console.log('Usage: react <messageId> [emoji]');
+                break;
+              }
+              
+              await client.react(messageId, emoji);
+              console.log(emoji ? 'Reaction sent' : 'Reaction removed');
+              break;
+            }
+            
+            case 'delete': {
+              const messageId = args[0];
+              
+              if (!messageId) {
+                console.log('Usage: delete <messageId>');
+                break;
+              }
+              
+              await client.deleteMessage(messageId);
+              console.log('Message deleted');
+              break;
+            }
+            
+            case 'history': {
+              const [name, count] = args;
+              const limit = count ? Number(count) : DEFAULT_HISTORY_LENGTH;
+              
+              if (!name || !Number.isInteger(limit) || limit <= 0) {
+                console.log('Usage: history <userId|groupId> [n]');
+                break;
+              }
+              
+              const entries = client.getHistory(name, limit);
+              if (entries.length === 0) {
+                console.log(`No messages with ${name}`);
+              } else {
+                console.log(`\nHistory with ${name}:`);
+                printHistory(entries);
+              }
+              break;
+            }
+            
+            case 'search': {
+              const text = args.join(' ');
+              
+              if (!text) {
+                console.log('Usage: search <text>');
+                break;
+              }
+              
+              const matches = client.searchHistory(text);
+              if (matches.length === 0) {
+                console.log('No matching messages');
+              } else {
+                console.log(`\nMessages matching "${text}":`);
+                printHistory(matches, true);
+              }
+              break;
+            }
+            
+            case 'retention': {
+              const [name, value] = args;
+              const days = value === 'off' ? null : Number(value);
+              
+              if (!name || (days !== null && !(days > 0))) {
+                console.log('Usage: retention <userId|groupId> <days|off>');
+                break;
+              }
+              
+              const removed = client.setRetention(name, days);
+              console.log(days
+                ? `Messages with ${name} are now deleted after ${days} days (${removed} deleted now)`
+                : `Messages with ${name} are now kept`);
+              break;
+            }
+            
+            case 'timer': {
+              const [peerId, value] = args;
+              const duration = value === 'off' ? null : parseDuration(value);
+              
+              if (!peerId || (value !== 'off' && duration === null)) {
+                console.log('Usage: timer <userId> <duration|off>');
+                break;
+              }
+              
+              await client.setDisappearingTimer(peerId, duration);
+              console.log(`You ${describeTimer(duration)} with ${peerId}`);
+              break;
+            }
+            
+            case 'devices': {
+              const devices = await client.listDevices();
+              
+              console.log('\nDevices:');
+              devices.forEach((device) => {
+                const label = device.linkedAt ? `linked ${new Date(device.linkedAt).toLocaleString()}` : 'primary';
+                const current = device.deviceId === client.deviceId ? ', this device' : '';
+                console.log(`- ${device.deviceId} (${label}${current})`);
+              });
+              break;
+            }
+            
+            case 'device': {
+              const [action, value] = args;
+              
+              if (action === 'link' && value) {
+                await client.approveLink(value);
+              } else if (action === 'revoke' && Number.isInteger(Number(value))) {
+                await client.revokeDevice(Number(value));
+              } else {
+                console.log('Usage: device link <code> | device revoke <deviceId>');
+              }
+              break;
+            }
+            
+            case 'revoke-key':
+            case 'delete-account': {
+              if (args[0] !== 'confirm') {
+                console.log(`Usage: ${command.toLowerCase()} confirm`);
+                break;
+              }
+              
+              if (command.toLowerCase() === 'revoke-key') {
+                await client.revokeIdentityKey();
+                console.log('Your contacts will be asked to verify your new safety number');
+                break;
+              }
+              
+              await client.deleteAccount();
+              rl.close();
+              process.exit(0);
+              break;
+            }
+            
             case 'exit': {
               console.log('Goodbye!');
               rl.close();
@@ -347,7 +3053,7 @@ async function startInteractiveClient() {
             }
             
             default:
-              console.log('Unknown command. Available commands: send, receive, users, exit');
+              console.log('Unknown command. Available commands: send, sendfile, save, receive, contacts, add, block, unblock, verify, trust, reset, group, gsend, reply, react, edit, delete, history, search, retention, timer, devices, device, revoke-key, delete-account, exit');
           }
         } catch (error) {
           console.error('Error:', error.message);
@@ -357,10 +3063,10 @@ async function startInteractiveClient() {
       });
     } catch (error) {
       console.error('Failed to initialize client:', error.message);
-      console.log('Make sure the server is running at http://localhost:3000');
+      console.log(`Make sure the server is running at ${options.serverUrl || DEFAULT_SERVER_URL}`);
       rl.close();
     }
-  });
+  }));
 }
 
 module.exports = {
@@ -370,5 +3076,13 @@ module.exports = {
 
 // Run the interactive client if this file is executed directly
 if (require.main === module) {
-  startInteractiveClient();
+  let config;
+  try {
+    config = loadConfig(CLIENT_SETTINGS);
+  } catch (error) {
+    console.error(`Invalid configuration: ${error.message}`);
+    process.exit(1);
+  }
+  
+  startInteractiveClient(config);
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+// secure-messaging-config.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Where to find a JSON config file, if any
+const CONFIG_FLAG = '--config';
+const CONFIG_ENV = 'SECURE_MESSAGING_CONFIG';
+
+/**
+ * ConfigError - Raised for unknown options and values that do not parse
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Convert a raw setting to its type
+ * @param {string} name - Setting name, for error messages
+ * @param {Object} setting - Setting description
+ * @param {*} value - Raw value from the config file, environment or command line
+ * @param {string} baseDirectory - Directory relative paths are resolved against
+ * @returns {*} Typed value
+ */
+function parseValue(name, setting, value, baseDirectory) {
+  switch (setting.type) {
+    case 'port': {
+      const port = Number(value);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new ConfigError(`${name} must be a port number, got "${value}"`);
+      }
+      return port;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (value !== 'true' && value !== 'false') {
+        throw new ConfigError(`${name} must be true or false, got "${value}"`);
+      }
+      return value === 'true';
+    case 'list':
+      return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    case 'path':
+      return path.resolve(baseDirectory, String(value));
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Read settings. Each setting comes from, in increasing priority, its
+ * default, the JSON config file named by --config or SECURE_MESSAGING_CONFIG,
+ * its environment variable, and its command-line flag.
+ * @param {Object} settings - Setting descriptions by name: { flag, env, type, default }, where type is
+ *   'string' (the default), 'port', 'boolean' (a flag without a value), 'list' (comma-separated) or 'path'
+ * @param {Object} options - Optional sources
+ * @param {string[]} options.argv - Command-line arguments (defaults to those of the process)
+ * @param {Object} options.env - Environment variables (defaults to those of the process)
+ * @returns {Object} Settings by name
+ */
+function loadConfig(settings, options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const config = {};
+  
+  for (const [name, setting] of Object.entries(settings)) {
+    config[name] = setting.default === undefined ? null : setting.default;
+  }
+  
+  // Command-line flags, which also name the config file
+  const flags = new Map();
+  let configFile = env[CONFIG_ENV] || null;
+  
+  for (let i = 0; i < argv.length; i++) {
+    const entry = Object.entries(settings).find(([, setting]) => setting.flag === argv[i]);
+    const takesValue = argv[i] === CONFIG_FLAG || (entry && entry[1].type !== 'boolean');
+    
+    if (!entry && argv[i] !== CONFIG_FLAG) {
+      throw new ConfigError(`Unknown option ${argv[i]}`);
+    }
+    if (takesValue && (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) {
+      throw new ConfigError(`Option ${argv[i]} needs a value`);
+    }
+    
+    if (argv[i] === CONFIG_FLAG) {
+      configFile = argv[i + 1];
+    } else {
+      flags.set(entry[0], takesValue ? argv[i + 1] : true);
+    }
+    i += takesValue ? 1 : 0;
+  }
+  
+  if (configFile) {
+    let fileSettings;
+    try {
+      fileSettings = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Cannot read config file ${configFile}: ${error.message}`);
+    }
+    
+    for (const [name, value] of Object.entries(fileSettings)) {
+      if (!settings[name]) {
+        throw new ConfigError(`Unknown setting "${name}" in ${configFile}`);
+      }
+      config[name] = value === null ? null : parseValue(name, settings[name], value, path.dirname(path.resolve(configFile)));
+    }
+  }
+  
+  for (const [name, setting] of Object.entries(settings)) {
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+      config[name] = parseValue(setting.env, setting, env[setting.env], process.cwd());
+    }
+    if (flags.has(name)) {
+      config[name] = parseValue(setting.flag, setting, flags.get(name), process.cwd());
+    }
+  }
+  
+  return config;
+}
+
+/**
+ * Compute the pin of a TLS certificate's public key: the base64 SHA-256 of
+ * its DER-encoded SubjectPublicKeyInfo. Pinning the key rather than the
+ * certificate lets the certificate be renewed without changing the pin.
+ * @param {string|Buffer} certificate - Certificate (PEM or DER)
+ * @returns {string} Public key pin
+ */
+function getPublicKeyPin(certificate) {
+  const publicKey = new crypto.X509Certificate(certificate).publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(publicKey).digest('base64');
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  getPublicKeyPin
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+// secure-messaging-contacts.js
+
+// Longest nickname we store for a contact
+const MAX_NICKNAME_LENGTH = 64;
+
+/**
+ * ContactList - The people a user added, with optional nicknames, and the
+ * users they blocked. Blocking does not need the user to be a contact.
+ */
+class ContactList {
+  /**
+   * @param {Object} state - State previously returned by export()
+   * @param {Array} state.contacts - Contact entries
+   * @param {string[]} state.blocked - Blocked user IDs
+   */
+  constructor(state = {}) {
+    this.contacts = new Map(state.contacts || []);
+    this.blocked = new Set(state.blocked || []);
+  }
+
+  /**
+   * Add a contact, or change the nickname of an existing one
+   * @param {string} userId - Contact user ID
+   * @param {string|null} nickname - Name to show instead of the user ID
+   * @returns {Object} Contact entry
+   */
+  add(userId, nickname = null) {
+    if (nickname !== null && (nickname.length === 0 || nickname.length > MAX_NICKNAME_LENGTH)) {
+      throw new Error(`Nicknames must be 1 to ${MAX_NICKNAME_LENGTH} characters`);
+    }
+    
+    const entry = this.contacts.get(userId) || { addedAt: Date.now() };
+    entry.nickname = nickname;
+    this.contacts.set(userId, entry);
+    return entry;
+  }
+
+  /**
+   * Get the entry of a contact
+   * @param {string} userId - Contact user ID
+   * @returns {Object|undefined} Contact entry
+   */
+  get(userId) {
+    return this.contacts.get(userId);
+  }
+
+  /**
+   * List the contacts, and blocked users who are not contacts
+   * @returns {Object[]} Entries with userId, nickname, contact and blocked, ordered by user ID
+   */
+  list() {
+    const userIds = new Set([...this.contacts.keys(), ...this.blocked]);
+    
+    return Array.from(userIds).sort().map(userId => ({
+      userId,
+      nickname: this.contacts.has(userId) ? this.contacts.get(userId).nickname : null,
+      contact: this.contacts.has(userId),
+      blocked: this.blocked.has(userId)
+    }));
+  }
+
+  /**
+   * Get the name to show for a user: the nickname with the user ID, or the user ID alone
+   * @param {string} userId - User ID
+   * @returns {string} Display name
+   */
+  getDisplayName(userId) {
+    const entry = this.contacts.get(userId);
+    return entry && entry.nickname ? `${entry.nickname} (${userId})` : userId;
+  }
+
+  /**
+   * Block a user, so their messages are dropped
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user was not blocked before
+   */
+  block(userId) {
+    const added = !this.blocked.has(userId);
+    this.blocked.add(userId);
+    return added;
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user was blocked
+   */
+  unblock(userId) {
+    return this.blocked.delete(userId);
+  }
+
+  /**
+   * Check whether a user is blocked
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user is blocked
+   */
+  isBlocked(userId) {
+    return this.blocked.has(userId);
+  }
+
+  /**
+   * Export the contacts for persistence
+   * @returns {Object} State suitable for the constructor
+   */
+  export() {
+    return {
+      contacts: Array.from(this.contacts.entries()),
+      blocked: Array.from(this.blocked)
+    };
+  }
+}
+
+module.exports = {
+  ContactList
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+// secure-messaging-errors.js
+
+/**
+ * Look up an entry of a table by a key from a response, ignoring keys such
+ * as "constructor" that every object inherits
+ * @param {Object} table - Lookup table
+ * @param {string|number} key - Key to look up
+ * @returns {*} The entry, or undefined
+ */
+function lookup(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined;
+}
+
+/**
+ * ApiError - An error response from the server. Responses carry a message
+ * and one of the codes in ERROR_CODES, which is what clients should switch
+ * on; the subclasses group the codes by what the caller can do about them.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Error code
+   * @param {string} message - Human-readable description
+   * @param {Object} options - Optional details
+   * @param {number} options.statusCode - HTTP status, if the code does not determine it
+   * @param {number} options.retryAfter - Seconds to wait before trying again
+   */
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    const known = lookup(ERROR_CODES, code);
+    this.statusCode = known ? known.status : options.statusCode || 500;
+    this.retryAfter = options.retryAfter || null;
+  }
+}
+
+/**
+ * InvalidRequestError - The request was malformed, too large or used the
+ * wrong method; sending it again will not help
+ */
+class InvalidRequestError extends ApiError {}
+
+/**
+ * AuthenticationError - The request signature, device or delivery token
+ * was not accepted
+ */
+class AuthenticationError extends ApiError {}
+
+/**
+ * PermissionError - The caller is known but may not do this
+ */
+class PermissionError extends ApiError {}
+
+/**
+ * NotFoundError - A user, device, group, link request or attachment does
+ * not exist (any more)
+ */
+class NotFoundError extends ApiError {}
+
+/**
+ * ConflictError - The request clashes with the current state on the server
+ */
+class ConflictError extends ApiError {}
+
+/**
+ * RateLimitError - Too many requests, or the recipient's queue is full;
+ * retryAfter says when to try again
+ */
+class RateLimitError extends ApiError {}
+
+/**
+ * ServerError - The server failed; the request may succeed later
+ */
+class ServerError extends ApiError {}
+
+// Error codes with their HTTP status and error class
+const ERROR_CODES = {
+  invalid_request: { status: 400, type: InvalidRequestError },
+  invalid_user_id: { status: 400, type: InvalidRequestError },
+  unauthorized: { status: 401, type: AuthenticationError },
+  unknown_device: { status: 401, type: AuthenticationError },
+  forbidden: { status: 403, type: PermissionError },
+  not_found: { status: 404, type: NotFoundError },
+  user_not_found: { status: 404, type: NotFoundError },
+  device_not_found: { status: 404, type: NotFoundError },
+  group_not_found: { status: 404, type: NotFoundError },
+  link_request_not_found: { status: 404, type: NotFoundError },
+  attachment_not_found: { status: 404, type: NotFoundError },
+  method_not_allowed: { status: 405, type: InvalidRequestError },
+  conflict: { status: 409, type: ConflictError },
+  payload_too_large: { status: 413, type: InvalidRequestError },
+  rate_limited: { status: 429, type: RateLimitError },
+  queue_full: { status: 429, type: RateLimitError },
+  server_error: { status: 500, type: ServerError }
+};
+
+// Classes for responses without a known code, e.g. from a newer server
+const STATUS_TYPES = {
+  400: InvalidRequestError,
+  401: AuthenticationError,
+  403: PermissionError,
+  404: NotFoundError,
+  409: ConflictError,
+  413: InvalidRequestError,
+  429: RateLimitError
+};
+
+/**
+ * Create the error for a code, with the class that code belongs to
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable description
+ * @param {Object} options - Optional details (see ApiError)
+ * @returns {ApiError} Typed error
+ */
+function createApiError(code, message, options = {}) {
+  const known = lookup(ERROR_CODES, code);
+  const Type = known
+    ? known.type
+    : lookup(STATUS_TYPES, options.statusCode) || (options.statusCode >= 500 ? ServerError : ApiError);
+  return new Type(code, message, options);
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  InvalidRequestError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServerError,
+  createApiError
+};
\ No newline at end of file
@@ -0,0 +1,319 @@
+// secure-messaging-history.js
+const { Keystore } = require('./secure-messaging-keystore');
+
+// Statuses of sent messages only move forward
+const STATUS_RANK = {
+  sent: 0,
+  delivered: 1,
+  read: 2
+};
+
+// Conversation IDs: a peer's user ID, or this prefix and a group ID
+const GROUP_CONVERSATION_PREFIX = 'group:';
+
+/**
+ * Get the conversation ID for a group
+ * @param {string} groupId - Group ID
+ * @returns {string} Conversation ID
+ */
+function getGroupConversationId(groupId) {
+  return `${GROUP_CONVERSATION_PREFIX}${groupId}`;
+}
+
+/**
+ * Get the group a conversation belongs to
+ * @param {string} conversationId - Conversation ID
+ * @returns {string|null} Group ID, or null for a conversation with a single user
+ */
+function getConversationGroupId(conversationId) {
+  return conversationId.startsWith(GROUP_CONVERSATION_PREFIX)
+    ? conversationId.slice(GROUP_CONVERSATION_PREFIX.length)
+    : null;
+}
+
+/**
+ * MessageHistory - Local record of sent and received messages, grouped by
+ * conversation. It is sealed with the user's passphrase like the keystore,
+ * but kept in its own file so the keystore stays small.
+ *
+ * Entries look like { id, direction: 'in' | 'out', from, to, text,
+ * attachment, timestamp, status, expiresAt }. Sent messages go from 'sent'
+ * to 'delivered' and 'read'; received ones from 'received' to 'read'.
+ * Disappearing messages have an expiresAt and are deleted once it passes;
+ * changes to a conversation's timer are kept as entries with a timer field.
+ * Edits, deletions and reactions change the entry they refer to, which
+ * then has edited, deleted or reactions (emoji by user ID) set.
+ */
+class MessageHistory {
+  /**
+   * @param {string} filePath - Location of the encrypted history file
+   */
+  constructor(filePath) {
+    this.file = new Keystore(filePath);
+    this.conversations = new Map();
+    
+    // Maximum message age in ms per conversation; others keep everything
+    this.retention = new Map();
+  }
+
+  /**
+   * Unlock the history file, load it if it exists, and drop messages that
+   * have outlived their conversation's retention
+   * @param {string} passphrase - User passphrase
+   */
+  unlock(passphrase) {
+    this.file.unlock(passphrase);
+    
+    if (this.file.exists()) {
+      const state = this.file.load();
+      this.conversations = new Map(state.conversations);
+      this.retention = new Map(state.retention);
+    }
+    
+    this.prune(Date.now());
+  }
+
+  /**
+   * Write the history to disk
+   */
+  save() {
+    this.file.save({
+      conversations: Array.from(this.conversations.entries()),
+      retention: Array.from(this.retention.entries())
+    });
+  }
+
+  /**
+   * Delete the history, on disk and in memory
+   */
+  remove() {
+    this.file.remove();
+    this.conversations = new Map();
+    this.retention = new Map();
+  }
+
+  /**
+   * Add a message to a conversation. A message seen before (e.g. a copy
+   * from another of our devices) is not added twice.
+   * @param {string} conversationId - Peer user ID or group conversation ID
+   * @param {Object} entry - Message entry
+   */
+  add(conversationId, entry) {
+    if (!this.conversations.has(conversationId)) {
+      this.conversations.set(conversationId, []);
+    }
+    
+    const entries = this.conversations.get(conversationId);
+    if (entry.id && entries.some(existing => existing.id === entry.id && existing.from === entry.from)) {
+      return;
+    }
+    
+    entries.push(entry);
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Advance the status of a sent message
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {string} messageId - Message ID
+   * @param {string} status - 'delivered' or 'read'
+   */
+  updateStatus(conversationId, messageId, status) {
+    const entry = (this.conversations.get(conversationId) || [])
+      .find(message => message.direction === 'out' && message.id === messageId);
+    
+    if (entry && STATUS_RANK[status] > STATUS_RANK[entry.status]) {
+      entry.status = status;
+    }
+  }
+
+  /**
+   * Mark received messages as read
+   * @param {string} conversationId - Conversation the messages belong to
+   * @param {string[]} messageIds - Message IDs
+   */
+  markRead(conversationId, messageIds) {
+    (this.conversations.get(conversationId) || [])
+      .filter(message => message.direction === 'in' && messageIds.includes(message.id))
+      .forEach((message) => {
+        message.status = 'read';
+      });
+  }
+
+  /**
+   * Find a message in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Object|null} Entry, or null if it is not in the history
+   */
+  find(conversationId, messageId) {
+    return (this.conversations.get(conversationId) || []).find(entry => entry.id === messageId) || null;
+  }
+
+  /**
+   * Find a message in any conversation
+   * @param {string} messageId - Message ID
+   * @returns {Object|null} Conversation ID and entry, or null if the message is not in the history
+   */
+  findById(messageId) {
+    for (const [conversationId, entries] of this.conversations) {
+      const entry = entries.find(message => message.id === messageId);
+      if (entry) {
+        return { conversationId, entry };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replace the text of a message. Only its sender may edit it.
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {string} messageId - Message ID
+   * @param {string} from - User editing the message
+   * @param {string} text - New text
+   * @returns {boolean} True if the message was edited
+   */
+  applyEdit(conversationId, messageId, from, text) {
+    const entry = this.find(conversationId, messageId);
+    if (!entry || entry.from !== from || entry.deleted || entry.attachment) {
+      return false;
+    }
+    
+    entry.text = text;
+    entry.edited = true;
+    return true;
+  }
+
+  /**
+   * Remove the contents of a message, leaving a placeholder. Only its sender
+   * may delete it.
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {string} messageId - Message ID
+   * @param {string} from - User deleting the message
+   * @returns {boolean} True if the message was deleted
+   */
+  applyDelete(conversationId, messageId, from) {
+    const entry = this.find(conversationId, messageId);
+    if (!entry || entry.from !== from) {
+      return false;
+    }
+    
+    delete entry.text;
+    delete entry.attachment;
+    delete entry.reactions;
+    entry.deleted = true;
+    return true;
+  }
+
+  /**
+   * Set or remove a user's reaction to a message
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {string} messageId - Message ID
+   * @param {string} from - User reacting
+   * @param {string} emoji - Reaction, or an empty string to remove it
+   * @returns {boolean} True if the message was found
+   */
+  applyReaction(conversationId, messageId, from, emoji) {
+    const entry = this.find(conversationId, messageId);
+    if (!entry || entry.deleted) {
+      return false;
+    }
+    
+    entry.reactions = entry.reactions || {};
+    if (emoji) {
+      entry.reactions[from] = emoji;
+    } else {
+      delete entry.reactions[from];
+    }
+    return true;
+  }
+
+  /**
+   * Get the latest messages of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {number} limit - Maximum number of messages
+   * @returns {Object[]} Messages, oldest first
+   */
+  getConversation(conversationId, limit) {
+    const entries = this.conversations.get(conversationId) || [];
+    return entries.slice(Math.max(0, entries.length - limit));
+  }
+
+  /**
+   * Check whether any messages are stored for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {boolean} True if the conversation exists
+   */
+  hasConversation(conversationId) {
+    return this.conversations.has(conversationId);
+  }
+
+  /**
+   * Find messages whose text or attachment name contains a string
+   * @param {string} text - Text to look for (case-insensitive)
+   * @returns {Object[]} Matches with their conversation IDs, oldest first
+   */
+  search(text) {
+    const needle = text.toLowerCase();
+    const matches = [];
+    
+    for (const [conversationId, entries] of this.conversations) {
+      entries
+        .filter(entry => (entry.text || '').toLowerCase().includes(needle) ||
+          (entry.attachment ? entry.attachment.filename.toLowerCase().includes(needle) : false))
+        .forEach(entry => matches.push({ ...entry, conversationId }));
+    }
+    
+    return matches.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Set how long a conversation's messages are kept
+   * @param {string} conversationId - Conversation ID
+   * @param {number|null} maxAge - Maximum age in ms, or null to keep everything
+   */
+  setRetention(conversationId, maxAge) {
+    if (maxAge) {
+      this.retention.set(conversationId, maxAge);
+    } else {
+      this.retention.delete(conversationId);
+    }
+    
+    this.prune(Date.now());
+  }
+
+  /**
+   * Get how long a conversation's messages are kept
+   * @param {string} conversationId - Conversation ID
+   * @returns {number|null} Maximum age in ms, or null if messages are kept forever
+   */
+  getRetention(conversationId) {
+    return this.retention.get(conversationId) || null;
+  }
+
+  /**
+   * Delete disappearing messages that have expired, and messages older than
+   * their conversation's retention
+   * @param {number} now - Current time in ms
+   * @returns {number} Number of messages deleted
+   */
+  prune(now) {
+    let removed = 0;
+    
+    for (const [conversationId, entries] of this.conversations) {
+      const maxAge = this.retention.get(conversationId) || Infinity;
+      const kept = entries.filter(entry => entry.timestamp > now - maxAge && !(entry.expiresAt <= now));
+      
+      removed += entries.length - kept.length;
+      this.conversations.set(conversationId, kept);
+    }
+    
+    return removed;
+  }
+}
+
+module.exports = {
+  MessageHistory,
+  getGroupConversationId,
+  getConversationGroupId
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+// secure-messaging-keystore.js
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Bump when the file layout or the serialized state changes
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost parameters (memory-hard: 128 * N * r bytes = 32 MiB)
+const SCRYPT_PARAMS = {
+  N: 2 ** 15,
+  r: 8,
+  p: 1
+};
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Full-length AES-GCM tag; a truncated tag would be easier to forge
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Serialize state to JSON, tagging Buffers so they survive the round trip
+ * @param {Object} state - State to serialize
+ * @returns {string} JSON text
+ */
+function serializeState(state) {
+  return JSON.stringify(state, function (key, value) {
+    // Buffer.toJSON has already run on `value`, so inspect the raw property
+    const raw = this[key];
+    if (Buffer.isBuffer(raw)) {
+      return { $buffer: raw.toString('base64') };
+    }
+    return value;
+  });
+}
+
+/**
+ * Parse JSON produced by serializeState, restoring Buffers
+ * @param {string} text - JSON text
+ * @returns {Object} Restored state
+ */
+function deserializeState(text) {
+  return JSON.parse(text, (key, value) => {
+    if (value && typeof value.$buffer === 'string') {
+      return Buffer.from(value.$buffer, 'base64');
+    }
+    return value;
+  });
+}
+
+/**
+ * Keystore - Passphrase-protected local storage for keys and ratchet state.
+ * The passphrase is stretched with scrypt and the state sealed with AES-256-GCM.
+ */
+class Keystore {
+  /**
+   * @param {string} filePath - Location of the keystore file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.key = null;
+    this.kdf = null;
+  }
+
+  /**
+   * Check whether a keystore file already exists
+   * @returns {boolean} True if the file exists
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Derive the storage key from the passphrase. Existing keystores keep their
+   * salt so the key only has to be derived once per run.
+   * @param {string} passphrase - User passphrase
+   */
+  unlock(passphrase) {
+    if (this.exists()) {
+      const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.checkVersion(file);
+      this.kdf = file.kdf;
+    } else {
+      this.kdf = {
+        name: 'scrypt',
+        salt: crypto.randomBytes(16).toString('base64'),
+        ...SCRYPT_PARAMS
+      };
+    }
+    
+    this.key = crypto.scryptSync(passphrase, Buffer.from(this.kdf.salt, 'base64'), 32, {
+      N: this.kdf.N,
+      r: this.kdf.r,
+      p: this.kdf.p,
+      maxmem: SCRYPT_MAXMEM
+    });
+  }
+
+  /**
+   * Reject keystore files written by an unknown version
+   * @param {Object} file - Parsed keystore file
+   */
+  checkVersion(file) {
+    if (file.version !== KEYSTORE_VERSION) {
+      throw new Error(`Unsupported keystore version: ${file.version}`);
+    }
+  }
+
+  /**
+   * Decrypt and return the stored state
+   * @returns {Object} Stored state
+   */
+  load() {
+    if (!this.key) {
+      throw new Error('Keystore is locked');
+    }
+    
+    const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.checkVersion(file);
+    
+    const tag = Buffer.from(typeof file.tag === 'string' ? file.tag : '', 'base64');
+    if (tag.length !== AUTH_TAG_LENGTH) {
+      throw new Error('Wrong passphrase or corrupted keystore');
+    }
+    
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(file.iv, 'base64'), {
+      authTagLength: AUTH_TAG_LENGTH
+    });
+    decipher.setAAD(Buffer.from(`keystore-v${file.version}`));
+    decipher.setAuthTag(tag);
+    
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([
+        decipher.update(Buffer.from(file.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+    } catch (error) {
+      throw new Error('Wrong passphrase or corrupted keystore');
+    }
+    
+    return deserializeState(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Encrypt and write the state, replacing the file atomically
+   * @param {Object} state - State to store
+   */
+  save(state) {
+    if (!this.key) {
+      throw new Error('Keystore is locked');
+    }
+    
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.from(`keystore-v${KEYSTORE_VERSION}`));
+    const ciphertext = Buffer.concat([
+      cipher.update(serializeState(state), 'utf8'),
+      cipher.final()
+    ]);
+    
+    const file = {
+      version: KEYSTORE_VERSION,
+      kdf: this.kdf,
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+    
+    // Write to a temporary file first so a crash never leaves a torn keystore
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(file), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Delete the keystore file
+   */
+  remove() {
+    fs.rmSync(this.filePath, { force: true });
+    fs.rmSync(`${this.filePath}.tmp`, { force: true });
+  }
+}
+
+module.exports = {
+  Keystore,
+  serializeState,
+  deserializeState
+};
\ No newline at end of file
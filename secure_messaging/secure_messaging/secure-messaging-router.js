@@ -0,0 +1,186 @@
+// secure-messaging-router.js
+const { ERROR_CODES, createApiError } = require('./secure-messaging-errors');
+const { parseStrings, toJsonSchema } = require('./secure-messaging-validation');
+
+/**
+ * Router - Maps a method and path such as 'GET /v1/users/:userId/bundle'
+ * to a route. Segments starting with ':' are path parameters, checked
+ * against the schema registered for their name. Routes also describe their
+ * body and query string, which is enough to generate OpenAPI documentation.
+ */
+class Router {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {string} options.prefix - Prefix of every route path, e.g. '/v1'
+   * @param {Object} options.params - Schemas of path parameters by name (others are strings)
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.paramSchemas = options.params || {};
+    this.routes = [];
+  }
+
+  /**
+   * Add a route
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the prefix, with ':name' parameter segments
+   * @param {Object} options - Route description
+   * @param {string} options.summary - One-line description for the documentation
+   * @param {Object} options.body - Schema of the JSON body; routes without one take no body
+   * @param {Object} options.query - Schema of the query string parameters
+   * @param {string} options.auth - How requests are authorized, as named in the documentation's security schemes
+   *   (other options are kept on the route for the caller, e.g. limits)
+   * @param {Function} handler - Called with the request context; returns the JSON response body
+   */
+  add(method, path, options, handler) {
+    const fullPath = `${this.prefix}${path}`;
+    
+    this.routes.push({
+      ...options,
+      method,
+      path: fullPath,
+      segments: fullPath.split('/').slice(1),
+      handler
+    });
+  }
+
+  /**
+   * Find the route for a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL (path and query string)
+   * @returns {Object} Route, with its path parameters and query as params and query
+   * @throws {ApiError} not_found or method_not_allowed if no route matches;
+   *   ValidationError if the parameters do not match their schemas
+   */
+  match(method, url) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const parts = pathname.split('/').slice(1);
+    const allowed = [];
+    
+    for (const route of this.routes) {
+      const values = matchSegments(route.segments, parts);
+      if (!values) {
+        continue;
+      }
+      if (route.method !== method) {
+        allowed.push(route.method);
+        continue;
+      }
+      
+      const paramSchemas = Object.fromEntries(Object.keys(values)
+        .map(name => [name, this.paramSchemas[name] || 'string']));
+      
+      return {
+        route,
+        params: parseStrings(values, paramSchemas, 'path'),
+        query: parseStrings(Object.fromEntries(searchParams), route.query || {}, 'query')
+      };
+    }
+    
+    if (allowed.length > 0) {
+      throw createApiError('method_not_allowed', `${pathname} only supports ${allowed.join(', ')}`);
+    }
+    throw createApiError('not_found', `No such endpoint: ${method} ${pathname}`);
+  }
+
+  /**
+   * Describe the routes as an OpenAPI document
+   * @param {Object} document - Top-level fields such as info and components.securitySchemes
+   * @returns {Object} OpenAPI 3.0 document
+   */
+  describe(document) {
+    const paths = {};
+    
+    for (const route of this.routes) {
+      const pathParams = route.segments.filter(segment => segment.startsWith(':')).map(segment => segment.slice(1));
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      
+      paths[path] = {
+        ...paths[path],
+        [route.method.toLowerCase()]: {
+          summary: route.summary,
+          parameters: [
+            ...pathParams.map(name => ({
+              name,
+              in: 'path',
+              required: true,
+              schema: toJsonSchema(this.paramSchemas[name] || 'string')
+            })),
+            // Arrays in the query string are comma-separated
+            ...Object.entries(route.query || {}).map(([name, schema]) => ({
+              name,
+              in: 'query',
+              required: !schema.optional,
+              explode: false,
+              schema: toJsonSchema(schema)
+            }))
+          ],
+          ...(route.body ? {
+            requestBody: { required: true, content: { 'application/json': { schema: toJsonSchema(route.body) } } }
+          } : {}),
+          ...(route.auth ? { security: [{ [route.auth]: [] }] } : {}),
+          responses: {
+            200: { description: 'Success' },
+            default: {
+              description: 'Error',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            }
+          }
+        }
+      };
+    }
+    
+    return {
+      openapi: '3.0.3',
+      ...document,
+      paths,
+      components: {
+        ...document.components,
+        schemas: {
+          Error: {
+            type: 'object',
+            properties: {
+              code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+              error: { type: 'string' }
+            },
+            required: ['code', 'error']
+          }
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Match path segments against a route's segments
+ * @param {string[]} segments - Route segments, with ':name' parameters
+ * @param {string[]} parts - Request path segments
+ * @returns {Object|null} Decoded parameter values by name, or null if the path does not match
+ */
+function matchSegments(segments, parts) {
+  if (segments.length !== parts.length) {
+    return null;
+  }
+  
+  const values = {};
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].startsWith(':')) {
+      if (!parts[i]) {
+        return null;
+      }
+      try {
+        values[segments[i].slice(1)] = decodeURIComponent(parts[i]);
+      } catch (error) {
+        return null;
+      }
+    } else if (segments[i] !== parts[i]) {
+      return null;
+    }
+  }
+  
+  return values;
+}
+
+module.exports = {
+  Router
+};
\ No newline at end of file
@@ -1,138 +1,1625 @@
 // secure-messaging-server.js
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const {
+  PRIMARY_DEVICE_ID,
+  getAddress,
+  getSignedPreKeyPayload,
+  getDeviceCertificatePayload,
+  getSenderCertificatePayload
+} = require('./secure-messaging-system');
+const { NonceCache, getAuthError } = require('./secure-messaging-auth');
+const { createStorage } = require('./secure-messaging-storage');
+const { BlobStore } = require('./secure-messaging-blob-store');
+const { ConfigError, loadConfig, getPublicKeyPin } = require('./secure-messaging-config');
+const {
+  ValidationError,
+  isValidUserId,
+  optional,
+  nullable,
+  arrayOf,
+  parseBody
+} = require('./secure-messaging-validation');
+const { ApiError, createApiError } = require('./secure-messaging-errors');
+const { Router } = require('./secure-messaging-router');
 
-// Server storage for users and messages
-const serverStorage = {
-  users: {},
-  messages: {}
+// Warn when a device's one-time pre-keys drop below this many
+const PREKEY_LOW_WATER_MARK = 10;
+
+// Users one user may look up through the device list and bundle routes,
+// together. Each lookup tells whether a user ID is registered, so this stays
+// below the rate contact discovery answers that question at.
+const USER_LOOKUP_LIMIT = { burst: 120, refillPerMinute: 120 };
+
+// Sealed-sender sends allowed per delivery token: bucket size and refill rate.
+// A device's token is shared by everyone who writes to it, because the
+// server must not learn who the sender is; one sender can therefore use up
+// the budget of all the others, and the token can only be revoked for
+// everyone at once (by publishing a new one). Each client IP therefore only
+// gets a share of a token's budget, and the per-IP limit of the route
+// (RATE_LIMITS.sealedSend) bounds its sends across all tokens.
+const SEALED_SEND_LIMIT = { burst: 30, refillPerMinute: 60 };
+const SEALED_SEND_CLIENT_LIMIT = { burst: 15, refillPerMinute: 30 };
+
+// Requests allowed per client IP and per user. The user is the one
+// registering, sending or discovering contacts, or for bundles the one whose
+// pre-keys are handed out, so nobody can drain another user's one-time
+// pre-keys. Contact discovery is kept slow so the directory cannot be
+// enumerated by guessing.
+const RATE_LIMITS = {
+  listDevices: {
+    ip: { burst: 300, refillPerMinute: 300 }
+  },
+  register: {
+    ip: { burst: 10, refillPerMinute: 10 },
+    user: { burst: 5, refillPerMinute: 5 }
+  },
+  sendMessage: {
+    ip: { burst: 300, refillPerMinute: 300 },
+    user: { burst: 120, refillPerMinute: 120 }
+  },
+  getBundle: {
+    ip: { burst: 60, refillPerMinute: 60 },
+    user: { burst: 30, refillPerMinute: 30 }
+  },
+  sealedSend: {
+    ip: { burst: 300, refillPerMinute: 300 }
+  },
+  discoverContacts: {
+    ip: { burst: 20, refillPerMinute: 10 },
+    user: { burst: 5, refillPerMinute: 1 }
+  },
+  requestLink: {
+    ip: { burst: 10, refillPerMinute: 10 },
+    user: { burst: 5, refillPerMinute: 5 }
+  }
+};
+
+// Largest accepted request body. Uploads carry a base64 chunk of up to
+// MAX_TRANSFER_CHUNK_SIZE bytes, so they get more room.
+const MAX_BODY_SIZE = 256 * 1024;
+const MAX_UPLOAD_BODY_SIZE = 2 * 1024 * 1024;
+
+// Messages waiting for a single device; senders get queue_full beyond this
+const MAX_QUEUED_MESSAGES = 1000;
+
+// One-time pre-keys accepted in a single registration or upload
+const MAX_ONE_TIME_PRE_KEYS_PER_REQUEST = 200;
+
+// Contact hashes accepted in a single discovery request
+const MAX_DISCOVERY_HASHES = 500;
+
+// Queued messages expire after this long unless the sender asks for less
+const DEFAULT_MESSAGE_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_TTL = 30 * 24 * 60 * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+// Event streams get a comment line this often so idle connections stay open
+const EVENT_STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Sender certificates for sealed sending are valid this long
+const SENDER_CERTIFICATE_LIFETIME = 24 * 60 * 60 * 1000;
+
+// Device link requests must be approved on the primary device within this time
+const LINK_REQUEST_LIFETIME = 10 * 60 * 1000;
+
+// Link requests kept in memory at once, for all accounts together
+const MAX_LINK_REQUESTS = 10000;
+
+// Requests from a device that has not been linked yet are signed as device 0
+const UNLINKED_DEVICE_ID = 0;
+
+// Attachment blobs: largest accepted blob, largest chunk per request, and how
+// long a blob is kept (as long as the message pointing to it can be queued)
+const MAX_BLOB_SIZE = 100 * 1024 * 1024;
+const MAX_TRANSFER_CHUNK_SIZE = 1024 * 1024;
+const BLOB_TTL = MAX_MESSAGE_TTL;
+
+// Settings, read from a config file, the environment or the command line.
+// With a certificate and key the server speaks HTTPS, otherwise plain HTTP.
+// storage is 'log' (persisted to server-storage.log) or 'memory'.
+// certificateKey is the Ed25519 key that signs sender certificates, created
+// as server-certificate-key.pem on first start unless given.
+const SERVER_SETTINGS = {
+  host: { flag: '--host', env: 'SECURE_MESSAGING_HOST' },
+  port: { flag: '--port', env: 'SECURE_MESSAGING_PORT', type: 'port', default: 3000 },
+  tlsCert: { flag: '--tls-cert', env: 'SECURE_MESSAGING_TLS_CERT', type: 'path' },
+  tlsKey: { flag: '--tls-key', env: 'SECURE_MESSAGING_TLS_KEY', type: 'path' },
+  storage: { flag: '--storage', env: 'SECURE_MESSAGING_STORAGE', default: 'log' },
+  certificateKey: { flag: '--certificate-key', env: 'SECURE_MESSAGING_CERTIFICATE_KEY', type: 'path' }
 };
 
-// Simple file-based persistence
-const storageFile = path.join(__dirname, 'server-storage.json');
+/**
+ * Load the key that signs sender certificates, creating it if it does not exist
+ * @param {string} filePath - PEM file of the Ed25519 private key
+ * @returns {Object} Private key, and the public key as PEM for clients
+ */
+function loadCertificateKey(filePath) {
+  if (!fs.existsSync(filePath)) {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync(filePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+  }
+  
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(filePath));
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new ConfigError('The certificate key must be an Ed25519 private key');
+  }
+  
+  return {
+    privateKey,
+    publicKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' })
+  };
+}
 
-// Load existing data if available
+let config;
+let tlsOptions = null;
+let certificateKey;
 try {
-  if (fs.existsSync(storageFile)) {
-    const data = JSON.parse(fs.readFileSync(storageFile, 'utf8'));
-    serverStorage.users = data.users || {};
-    serverStorage.messages = data.messages || {};
-    console.log('Loaded existing server storage');
+  config = loadConfig(SERVER_SETTINGS);
+  
+  if (Boolean(config.tlsCert) !== Boolean(config.tlsKey)) {
+    throw new ConfigError('HTTPS needs both a certificate (--tls-cert) and a key (--tls-key)');
   }
+  if (config.tlsCert) {
+    tlsOptions = { cert: fs.readFileSync(config.tlsCert), key: fs.readFileSync(config.tlsKey) };
+  }
+  certificateKey = loadCertificateKey(config.certificateKey || path.join(__dirname, 'server-certificate-key.pem'));
 } catch (error) {
-  console.error('Error loading storage:', error.message);
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
 }
 
-// Save data periodically
-function saveStorage() {
+const storage = createStorage(config.storage, {
+  filePath: path.join(__dirname, 'server-storage.log')
+});
+
+// Encrypted attachments, stored separately from the rest of the state
+const blobStore = new BlobStore(path.join(__dirname, 'server-blobs'));
+
+// Storage file written by earlier versions of the server
+const legacyStorageFile = path.join(__dirname, 'server-storage.json');
+
+/**
+ * Import users, queues and groups from the old JSON storage file into an
+ * empty backend. Each old user becomes an account with a single primary
+ * device. The old file is left in place.
+ */
+function importLegacyStorage() {
   try {
-    fs.writeFileSync(storageFile, JSON.stringify(serverStorage), 'utf8');
-    console.log('Server storage saved');
+    const data = JSON.parse(fs.readFileSync(legacyStorageFile, 'utf8'));
+    
+    Object.entries(data.users || {}).forEach(([userId, { oneTimePreKeys, ...record }]) => {
+      storage.putUser(userId, {
+        userId,
+        identityKey: record.identityKey,
+        nextDeviceId: PRIMARY_DEVICE_ID + 1,
+        revokedDevices: []
+      });
+      storage.putDevice(userId, PRIMARY_DEVICE_ID, record, oneTimePreKeys || []);
+    });
+    
+    Object.entries(data.messages || {}).forEach(([userId, queue]) => queue.forEach((message) => {
+      // Messages queued before delivery was acknowledged have no id yet
+      storage.enqueueMessage(userId, PRIMARY_DEVICE_ID, message.id ? message : {
+        ...message,
+        id: crypto.randomBytes(16).toString('hex'),
+        queuedAt: Date.now(),
+        expiresAt: Date.now() + DEFAULT_MESSAGE_TTL
+      });
+    }));
+    
+    Object.values(data.groups || {}).forEach(group => storage.putGroup(group));
+    console.log('Imported legacy server storage');
   } catch (error) {
-    console.error('Error saving storage:', error.message);
+    console.error('Error importing legacy storage:', error.message);
   }
 }
 
-// Create HTTP server
-const server = http.createServer((req, res) => {
-  let body = '';
+if (storage.isEmpty() && fs.existsSync(legacyStorageFile)) {
+  importLegacyStorage();
+}
+
+/**
+ * Check a signature made with a user's identity key
+ * @param {string} data - Signed data
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKey - Identity public key
+ * @returns {boolean} True if the signature is valid
+ */
+function verifySignature(data, signature, publicKey) {
+  try {
+    return crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Nonces of recently authenticated requests
+const nonceCache = new NonceCache();
+
+/**
+ * Check a request signature against a given key
+ * @param {Object} ctx - Request context
+ * @param {string} userId - User the request must come from
+ * @param {number} deviceId - Device the request must come from
+ * @param {string} identityKey - Identity key to verify against
+ * @throws {ApiError} unauthorized if the signature is not valid
+ */
+function verifyRequest(ctx, userId, deviceId, identityKey) {
+  const { req, body } = ctx;
+  const error = getAuthError(req.headers, req.method, req.url, body, userId, deviceId, identityKey, nonceCache);
   
-  req.on('data', chunk => {
-    body += chunk.toString();
+  if (error) {
+    throw createApiError('unauthorized', error);
+  }
+}
+
+/**
+ * Check that a request is signed by one of the devices of the user named
+ * in its X-Auth-User header
+ * @param {Object} ctx - Request context
+ * @returns {Object} The signing user ID and device
+ * @throws {ApiError} If the request was not signed by a registered device
+ */
+function authenticate(ctx) {
+  const userId = ctx.req.headers['x-auth-user'];
+  
+  if (!userId || !storage.getUser(userId)) {
+    throw createApiError('user_not_found', 'User not found');
+  }
+  
+  const device = storage.getDevice(userId, Number(ctx.req.headers['x-auth-device']));
+  if (!device) {
+    throw createApiError('unknown_device', 'Unknown device');
+  }
+  
+  verifyRequest(ctx, userId, device.deviceId, device.identityKey);
+  return { userId, device };
+}
+
+/**
+ * Check a device certificate presented by a device of an account
+ * @param {Object} account - Account record
+ * @param {number} deviceId - Device the certificate must be for
+ * @param {string} identityKey - Device identity key the certificate must cover
+ * @param {Object} certificate - Device certificate
+ * @returns {boolean} True if the account key issued the certificate for this device
+ */
+function isValidDeviceCertificate(account, deviceId, identityKey, certificate) {
+  return Boolean(certificate) &&
+    certificate.userId === account.userId &&
+    certificate.deviceId === deviceId &&
+    certificate.identityKey === identityKey &&
+    certificate.accountIdentityKey === account.identityKey &&
+    deviceId > PRIMARY_DEVICE_ID &&
+    deviceId < account.nextDeviceId &&
+    !account.revokedDevices.includes(deviceId) &&
+    verifySignature(getDeviceCertificatePayload(certificate), certificate.signature, account.identityKey);
+}
+
+// Token buckets for sealed-sender rate limiting, keyed by delivery token hash,
+// and by client IP and delivery token hash
+const sealedSendBuckets = new Map();
+const sealedSendClientBuckets = new Map();
+
+// Token buckets for RATE_LIMITS, keyed by route and client IP or user ID
+const rateLimitBuckets = {
+  ip: new Map(),
+  user: new Map()
+};
+
+/**
+ * Take one token from a rate-limit bucket
+ * @param {Map} buckets - Buckets by key
+ * @param {string} key - Bucket key
+ * @param {number} burst - Bucket capacity
+ * @param {number} refillPerMinute - Tokens added per minute
+ * @returns {boolean} False if the bucket is empty
+ */
+function takeToken(buckets, key, burst, refillPerMinute) {
+  const now = Date.now();
+  const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+  
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * refillPerMinute);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+  
+  if (bucket.tokens < 1) {
+    return false;
+  }
+  
+  bucket.tokens -= 1;
+  
+  // A full bucket is the same as no bucket, so it can be dropped from then on
+  bucket.fullAt = now + ((burst - bucket.tokens) / refillPerMinute) * 60000;
+  return true;
+}
+
+/**
+ * Take one token from a rate-limit bucket
+ * @param {Map} buckets - Buckets by key
+ * @param {string} key - Bucket key
+ * @param {Object} limit - Bucket capacity and tokens added per minute
+ * @throws {ApiError} rate_limited, with the seconds to wait, if the bucket is empty
+ */
+function limitRate(buckets, key, limit) {
+  if (takeToken(buckets, key, limit.burst, limit.refillPerMinute)) {
+    return;
+  }
+  
+  const retryAfter = Math.ceil(((1 - buckets.get(key).tokens) / limit.refillPerMinute) * 60);
+  throw createApiError('rate_limited', 'Too many requests', { retryAfter: Math.max(1, retryAfter) });
+}
+
+/**
+ * Apply the per-user limit of a request's route (see RATE_LIMITS)
+ * @param {Object} ctx - Request context
+ * @param {string} userId - User the limit applies to
+ * @throws {ApiError} rate_limited if the user has used up the limit
+ */
+function limitUser(ctx, userId) {
+  const { route } = ctx;
+  limitRate(rateLimitBuckets.user, `${route.method} ${route.path} ${userId}`, route.rateLimit.user);
+}
+
+/**
+ * Authenticate a request that looks up another user, and count it against
+ * the requester's USER_LOOKUP_LIMIT
+ * @param {Object} ctx - Request context
+ * @throws {ApiError} If the request is not signed, or rate_limited
+ */
+function limitUserLookup(ctx) {
+  const { userId } = authenticate(ctx);
+  limitRate(rateLimitBuckets.user, `lookup ${userId}`, USER_LOOKUP_LIMIT);
+}
+
+/**
+ * Forget rate-limit buckets that have filled up again
+ * @returns {number} Number of buckets removed
+ */
+function purgeRateLimitBuckets() {
+  const now = Date.now();
+  let removed = 0;
+  
+  for (const buckets of [sealedSendBuckets, sealedSendClientBuckets, rateLimitBuckets.ip, rateLimitBuckets.user]) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.fullAt <= now) {
+        buckets.delete(key);
+        removed++;
+      }
+    }
+  }
+  
+  return removed;
+}
+
+/**
+ * Hash a delivery token the way it is stored on the server
+ * @param {string} deliveryToken - Delivery token presented by a sender
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashDeliveryToken(deliveryToken) {
+  return crypto.createHash('sha256').update(String(deliveryToken)).digest('hex');
+}
+
+/**
+ * Check a delivery token against the hash a device registered
+ * @param {Object} device - Device record
+ * @param {string} tokenHash - Hash of the presented token
+ * @returns {boolean} True if the token matches
+ */
+function isValidDeliveryToken(device, tokenHash) {
+  if (!device || typeof device.deliveryTokenHash !== 'string' ||
+      device.deliveryTokenHash.length !== tokenHash.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(device.deliveryTokenHash));
+}
+
+// Open event streams per device address (a device may be connected more than once)
+const eventStreams = new Map();
+
+/**
+ * Tell a device's connected clients how many messages are waiting. Messages
+ * are still fetched from the queue, so nothing is lost if a stream drops.
+ * @param {string} userId - User to notify
+ * @param {number} deviceId - Device to notify
+ */
+function notifyDevice(userId, deviceId) {
+  const streams = eventStreams.get(getAddress(userId, deviceId));
+  const count = storage.countMessages(userId, deviceId);
+  
+  if (!streams || count === 0) {
+    return;
+  }
+  
+  for (const stream of streams) {
+    stream.write(`event: messages\ndata: ${JSON.stringify({ count })}\n\n`);
+  }
+}
+
+/**
+ * Register an event stream for a device until the connection closes
+ * @param {string} userId - Authenticated user
+ * @param {number} deviceId - Authenticated device
+ * @param {http.ServerResponse} res - Response kept open as the stream
+ */
+function openEventStream(userId, deviceId, res) {
+  const address = getAddress(userId, deviceId);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
   });
+  res.write(': connected\n\n');
   
-  req.on('end', () => {
-    try {
-      // Set CORS headers
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (!eventStreams.has(address)) {
+    eventStreams.set(address, new Set());
+  }
+  eventStreams.get(address).add(res);
+  console.log(`Event stream opened for ${address}`);
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_STREAM_HEARTBEAT_INTERVAL);
+  
+  // The response closes when the client disconnects
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    
+    const streams = eventStreams.get(address);
+    streams.delete(res);
+    if (streams.size === 0) {
+      eventStreams.delete(address);
+    }
+    console.log(`Event stream closed for ${address}`);
+  });
+  
+  // Deliver anything that was queued while the device was offline
+  notifyDevice(userId, deviceId);
+}
+
+/**
+ * Close a device's event streams, e.g. after it has been revoked
+ * @param {string} userId - User ID
+ * @param {number} deviceId - Device ID
+ */
+function closeEventStreams(userId, deviceId) {
+  for (const stream of eventStreams.get(getAddress(userId, deviceId)) || []) {
+    stream.end();
+  }
+}
+
+/**
+ * Add a message to a device's queue. It stays queued until the device
+ * acknowledges it or it expires.
+ * @param {string} recipient - Recipient user ID
+ * @param {number} recipientDevice - Recipient device ID
+ * @param {Object} message - Message to queue
+ * @param {number} ttl - Optional lifetime in ms requested by the sender
+ * @returns {string|null} Server-assigned message ID, or null if the queue is full
+ */
+function enqueueMessage(recipient, recipientDevice, message, ttl) {
+  if (storage.countMessages(recipient, recipientDevice) >= MAX_QUEUED_MESSAGES) {
+    console.warn(`Queue of ${getAddress(recipient, recipientDevice)} is full`);
+    return null;
+  }
+  
+  const lifetime = Number.isFinite(ttl) && ttl > 0 ? Math.min(ttl, MAX_MESSAGE_TTL) : DEFAULT_MESSAGE_TTL;
+  const queuedMessage = {
+    ...message,
+    id: crypto.randomBytes(16).toString('hex'),
+    queuedAt: Date.now(),
+    expiresAt: Date.now() + lifetime
+  };
+  
+  storage.enqueueMessage(recipient, recipientDevice, queuedMessage);
+  notifyDevice(recipient, recipientDevice);
+  
+  return queuedMessage.id;
+}
+
+/**
+ * Drop queued messages whose TTL has passed
+ * @returns {number} Number of messages removed
+ */
+function purgeExpiredMessages() {
+  const removed = storage.purgeExpiredMessages(Date.now());
+  
+  if (removed > 0) {
+    console.log(`Expired ${removed} undelivered messages`);
+  }
+  
+  return removed;
+}
+
+/**
+ * Delete attachment blobs whose TTL has passed, and abandoned uploads
+ * @returns {number} Number of blobs removed
+ */
+function purgeExpiredBlobs() {
+  const removed = blobStore.purgeExpired(Date.now());
+  
+  if (removed > 0) {
+    console.log(`Deleted ${removed} expired attachments`);
+  }
+  
+  return removed;
+}
+
+/**
+ * Look up a group and check that the user belongs to it
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User that must be a member
+ * @returns {Object} The group
+ * @throws {ApiError} group_not_found or forbidden
+ */
+function getGroupForMember(groupId, userId) {
+  const group = storage.getGroup(groupId);
+  
+  if (!group) {
+    throw createApiError('group_not_found', 'Group not found');
+  }
+  if (!group.members.includes(userId)) {
+    throw createApiError('forbidden', 'Not a member of this group');
+  }
+  
+  return group;
+}
+
+/**
+ * Look up an attachment upload of a user
+ * @param {string} blobId - Blob ID
+ * @param {string} userId - User that must have started the upload
+ * @returns {Object} Blob metadata
+ * @throws {ApiError} attachment_not_found if the user has no such upload
+ */
+function getUpload(blobId, userId) {
+  const blob = blobStore.get(blobId);
+  
+  if (!blob || blob.owner !== userId) {
+    throw createApiError('attachment_not_found', 'Upload not found');
+  }
+  
+  return blob;
+}
+
+// Link requests from new devices waiting for approval, keyed by link code
+const linkRequests = new Map();
+
+/**
+ * Look up a link request that has not expired yet
+ * @param {string} userId - Account the request is for
+ * @param {string} code - Link code shown on the new device
+ * @returns {Object|null} The link request
+ */
+function getLinkRequest(userId, code) {
+  const request = linkRequests.get(String(code));
+  
+  if (request && request.expiresAt <= Date.now()) {
+    linkRequests.delete(String(code));
+    return null;
+  }
+  
+  return request && request.userId === userId ? request : null;
+}
+
+/**
+ * Forget link requests that were not approved and picked up in time
+ * @returns {number} Number of link requests removed
+ */
+function purgeExpiredLinkRequests() {
+  const now = Date.now();
+  let removed = 0;
+  
+  for (const [code, request] of linkRequests) {
+    if (request.expiresAt <= now) {
+      linkRequests.delete(code);
+      removed++;
+    }
+  }
+  
+  return removed;
+}
+
+// Fields shared by several request bodies
+const DEVICE_CERTIFICATE_SCHEMA = {
+  userId: 'userId',
+  deviceId: 'integer',
+  identityKey: 'key',
+  identityDhKey: 'key',
+  accountIdentityKey: 'key',
+  issuedAt: 'integer',
+  signature: 'base64'
+};
+const ONE_TIME_PRE_KEYS_SCHEMA = arrayOf({ keyId: 'integer', publicKey: 'key' }, MAX_ONE_TIME_PRE_KEYS_PER_REQUEST);
+
+// Every route lives under /v1. Path parameters are checked against these
+// schemas; request bodies, query strings and path parameters that do not
+// match are rejected with invalid_request before a route sees them.
+const router = new Router({
+  prefix: '/v1',
+  params: {
+    userId: 'userId',
+    deviceId: 'integer',
+    groupId: 'string',
+    blobId: 'hex',
+    code: 'string'
+  }
+});
+
+// Keys and devices
+
+router.add('PUT', '/users/:userId/devices/:deviceId', {
+  summary: 'Register a new account on its primary device, or register or update a device of an account',
+  auth: 'device',
+  rateLimit: RATE_LIMITS.register,
+  body: {
+    identityKey: 'key',
+    identityDhKey: 'key',
+    identityDhKeySignature: 'base64',
+    preKeyId: 'integer',
+    preKey: 'key',
+    preKeyTimestamp: 'integer',
+    signature: 'base64',
+    deviceCertificate: optional(nullable(DEVICE_CERTIFICATE_SCHEMA)),
+    deliveryTokenHash: optional('hex'),
+    oneTimePreKeys: optional(ONE_TIME_PRE_KEYS_SCHEMA)
+  }
+}, (ctx) => {
+  const { userId, deviceId } = ctx.params;
+  const { oneTimePreKeys = [], ...record } = ctx.data;
+  const account = storage.getUser(userId);
+  
+  if (!account) {
+    if (!isValidUserId(userId)) {
+      throw createApiError('invalid_user_id',
+        'User IDs must be 1 to 32 letters, digits, underscores or hyphens, starting with a letter or digit');
+    }
+    if (deviceId !== PRIMARY_DEVICE_ID) {
+      throw createApiError('user_not_found', 'User not found');
+    }
+    
+    // The first registration creates the account on its primary device
+    // and binds the userId to that device's identity key
+    verifyRequest(ctx, userId, PRIMARY_DEVICE_ID, record.identityKey);
+    limitUser(ctx, userId);
+    
+    storage.putUser(userId, {
+      userId,
+      identityKey: record.identityKey,
+      nextDeviceId: PRIMARY_DEVICE_ID + 1,
+      revokedDevices: []
+    });
+    storage.putDevice(userId, PRIMARY_DEVICE_ID, { ...record, userId, deviceCertificate: null }, oneTimePreKeys);
+    console.log(`User registered: ${userId}`);
+    
+    return { success: true, deviceId: PRIMARY_DEVICE_ID };
+  }
+  
+  // After that, a device may only update its own registration, and a new
+  // device must present a certificate issued by the account key. After the
+  // account key was revoked, the primary device registers again with the
+  // key that replaced it.
+  const existingDevice = storage.getDevice(userId, deviceId);
+  const replacesPrimary = !existingDevice && deviceId === PRIMARY_DEVICE_ID && record.identityKey === account.identityKey;
+  verifyRequest(ctx, userId, deviceId, existingDevice ? existingDevice.identityKey : record.identityKey);
+  limitUser(ctx, userId);
+  
+  if (existingDevice && record.identityKey !== existingDevice.identityKey) {
+    throw createApiError('conflict', 'Device is bound to a different identity key');
+  }
+  if (!existingDevice && !replacesPrimary &&
+      (!isValidDeviceCertificate(account, deviceId, record.identityKey, record.deviceCertificate) ||
+      record.deviceCertificate.identityDhKey !== record.identityDhKey)) {
+    throw createApiError('forbidden', 'Device is not linked to this account');
+  }
+  
+  const deviceCertificate = existingDevice ? existingDevice.deviceCertificate : (replacesPrimary ? null : record.deviceCertificate);
+  storage.putDevice(userId, deviceId, { ...record, userId, deviceCertificate }, oneTimePreKeys);
+  console.log(`Device ${getAddress(userId, deviceId)} ${existingDevice ? 'updated' : 'registered'}`);
+  
+  return { success: true, deviceId };
+});
+
+router.add('GET', '/users/:userId/devices', {
+  // Lets senders notice new and removed devices without using up pre-keys
+  summary: 'List the device IDs of a user',
+  auth: 'device',
+  rateLimit: RATE_LIMITS.listDevices
+}, (ctx) => {
+  const { userId } = ctx.params;
+  
+  limitUserLookup(ctx);
+  
+  if (!storage.getUser(userId)) {
+    throw createApiError('user_not_found', 'User not found');
+  }
+  
+  return { deviceIds: storage.listDevices(userId).map(device => device.deviceId) };
+});
+
+router.add('GET', '/users/:userId/bundle', {
+  summary: 'Get the pre-key bundles of some or all of a user\'s devices, using up a one-time pre-key of each',
+  auth: 'device',
+  rateLimit: RATE_LIMITS.getBundle,
+  query: { deviceIds: optional(arrayOf('integer')) }
+}, (ctx) => {
+  const { userId } = ctx.params;
+  const { deviceIds } = ctx.query;
+  const account = storage.getUser(userId);
+  
+  limitUserLookup(ctx);
+  limitUser(ctx, userId);
+  
+  if (!account) {
+    throw createApiError('user_not_found', 'User not found');
+  }
+  
+  // One bundle per device, optionally limited to the devices asked for
+  const devices = storage.listDevices(userId)
+    .filter(device => !deviceIds || deviceIds.includes(device.deviceId))
+    .map(({ deliveryTokenHash, ...bundle }) => {
+      // Hand out (and delete) a single one-time pre-key per device per fetch
+      bundle.oneTimePreKey = storage.takeOneTimePreKey(userId, bundle.deviceId);
       
-      // Handle OPTIONS request for CORS
-      if (req.method === 'OPTIONS') {
-        res.statusCode = 200;
-        res.end();
-        return;
+      const remaining = storage.countOneTimePreKeys(userId, bundle.deviceId);
+      if (remaining < PREKEY_LOW_WATER_MARK) {
+        console.warn(`Device ${getAddress(userId, bundle.deviceId)} is low on one-time pre-keys (${remaining} left)`);
       }
       
-      // Handle different routes
-      if (req.url === '/register' && req.method === 'POST') {
-        const userData = JSON.parse(body);
-        serverStorage.users[userData.userId] = userData;
-        console.log(`User registered: ${userData.userId}`);
-        
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ success: true }));
-        
-        saveStorage();
-      }
-      else if (req.url === '/get-user' && req.method === 'POST') {
-        const { userId } = JSON.parse(body);
-        const userData = serverStorage.users[userId];
-        
-        res.statusCode = userData ? 200 : 404;
-        res.setHeader('Content-Type', 'application/json');
-        
-        if (userData) {
-          res.end(JSON.stringify(userData));
-        } else {
-          res.end(JSON.stringify({ error: 'User not found' }));
-        }
-      }
-      else if (req.url === '/send-message' && req.method === 'POST') {
-        const message = JSON.parse(body);
-        const recipient = message.recipient;
-        
-        if (!serverStorage.messages[recipient]) {
-          serverStorage.messages[recipient] = [];
-        }
-        
-        serverStorage.messages[recipient].push(message);
-        console.log(`Message sent to ${recipient}`);
-        
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ success: true }));
-        
-        saveStorage();
-      }
-      else if (req.url === '/get-messages' && req.method === 'POST') {
-        const { userId } = JSON.parse(body);
-        const messages = serverStorage.messages[userId] || [];
-        
-        // Clear the messages after retrieving
-        serverStorage.messages[userId] = [];
-        
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ messages }));
-        
-        saveStorage();
-      }
-      else if (req.url === '/list-users' && req.method === 'GET') {
-        const userList = Object.keys(serverStorage.users);
-        
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ users: userList }));
-      }
-      else {
-        res.statusCode = 404;
-        res.end(JSON.stringify({ error: 'Not found' }));
+      return bundle;
+    });
+  
+  return { userId, identityKey: account.identityKey, devices };
+});
+
+router.add('GET', '/account/prekeys', {
+  summary: 'Count the one-time pre-keys left for the signing device',
+  auth: 'device'
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  
+  return { count: storage.countOneTimePreKeys(userId, device.deviceId) };
+});
+
+router.add('POST', '/account/prekeys', {
+  summary: 'Upload one-time pre-keys for the signing device',
+  auth: 'device',
+  body: { oneTimePreKeys: ONE_TIME_PRE_KEYS_SCHEMA }
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const { oneTimePreKeys } = ctx.data;
+  
+  storage.addOneTimePreKeys(userId, device.deviceId, oneTimePreKeys);
+  console.log(`Device ${getAddress(userId, device.deviceId)} uploaded ${oneTimePreKeys.length} one-time pre-keys`);
+  
+  return { success: true, count: storage.countOneTimePreKeys(userId, device.deviceId) };
+});
+
+router.add('GET', '/account/signed-prekey', {
+  summary: 'Get the id and timestamp of the signed pre-key the server has for the signing device',
+  auth: 'device'
+}, (ctx) => {
+  const { device } = authenticate(ctx);
+  
+  return { preKeyId: device.preKeyId, preKeyTimestamp: device.preKeyTimestamp };
+});
+
+router.add('PUT', '/account/signed-prekey', {
+  summary: 'Replace the signed pre-key of the signing device',
+  auth: 'device',
+  body: {
+    preKeyId: 'integer',
+    preKey: 'key',
+    preKeyTimestamp: 'integer',
+    signature: 'base64'
+  }
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const { preKeyId, preKey, preKeyTimestamp, signature } = ctx.data;
+  
+  // Only the holder of the device identity key can sign a new pre-key
+  if (!verifySignature(getSignedPreKeyPayload(preKeyId, preKey, preKeyTimestamp), signature, device.identityKey)) {
+    throw createApiError('unauthorized', 'Invalid pre-key signature');
+  }
+  
+  // Reject replays of older signed pre-keys
+  if (preKeyTimestamp <= device.preKeyTimestamp) {
+    throw createApiError('conflict', 'Signed pre-key is not newer than the current one');
+  }
+  
+  storage.updateDevice(userId, device.deviceId, { preKeyId, preKey, preKeyTimestamp, signature });
+  console.log(`Device ${getAddress(userId, device.deviceId)} rotated signed pre-key to ${preKeyId}`);
+  
+  return { success: true };
+});
+
+router.add('PUT', '/account/delivery-token', {
+  summary: 'Replace the hash of the delivery token sealed senders present for the signing device',
+  auth: 'device',
+  body: { deliveryTokenHash: 'hex' }
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  
+  storage.updateDevice(userId, device.deviceId, { deliveryTokenHash: ctx.data.deliveryTokenHash });
+  
+  return { success: true };
+});
+
+// Messages
+
+router.add('POST', '/messages', {
+  summary: 'Queue a message for one device of a user',
+  auth: 'device',
+  rateLimit: RATE_LIMITS.sendMessage,
+  body: {
+    version: optional('integer'),
+    sessionId: 'string',
+    sender: 'userId',
+    senderDevice: optional('integer'),
+    recipient: 'userId',
+    recipientDevice: optional('integer'),
+    timestamp: 'integer',
+    ratchetKey: 'key',
+    counter: 'integer',
+    previousCounter: 'integer',
+    preKeyHeader: optional(nullable({
+      identityKey: 'key',
+      identityDhKey: 'key',
+      identityDhKeySignature: 'base64',
+      ephemeralKey: 'key',
+      preKeyId: 'integer',
+      oneTimePreKeyId: nullable('integer'),
+      deviceCertificate: nullable(DEVICE_CERTIFICATE_SCHEMA)
+    })),
+    iv: 'base64',
+    ciphertext: 'base64',
+    tag: 'base64',
+    ttl: optional('integer')
+  }
+}, (ctx) => {
+  const { ttl, recipientDevice = PRIMARY_DEVICE_ID, ...message } = ctx.data;
+  const { recipient } = message;
+  
+  // Only the sender itself may post messages in its name
+  const { userId, device } = authenticate(ctx);
+  if (message.sender !== userId) {
+    throw createApiError('forbidden', 'Messages can only be sent in your own name');
+  }
+  limitUser(ctx, userId);
+  
+  // Senders learn about revoked devices from this and drop their sessions
+  if (!storage.getDevice(recipient, recipientDevice)) {
+    throw createApiError('device_not_found', 'Recipient device not found');
+  }
+  
+  const id = enqueueMessage(recipient, recipientDevice, {
+    ...message,
+    senderDevice: device.deviceId,
+    recipientDevice
+  }, ttl);
+  
+  if (!id) {
+    throw createApiError('queue_full', 'Recipient queue is full');
+  }
+  console.log(`Message sent to ${getAddress(recipient, recipientDevice)}`);
+  
+  return { success: true, id };
+});
+
+router.add('GET', '/certificate-key', {
+  summary: 'Get the public key that signs sender certificates'
+}, () => ({ certificateKey: certificateKey.publicKey }));
+
+router.add('GET', '/account/sender-certificate', {
+  // The recipient of a sealed message checks the certificate against our
+  // key, so the sender cannot claim someone else's identity
+  summary: 'Get a short-lived certificate binding the signing device to its registered identity key, for sealed sending',
+  auth: 'device'
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const certificate = {
+    sender: userId,
+    senderDevice: device.deviceId,
+    identityKey: device.identityKey,
+    deviceCertificate: device.deviceCertificate || null,
+    expires: Date.now() + SENDER_CERTIFICATE_LIFETIME
+  };
+  certificate.signature = crypto.sign(null, Buffer.from(getSenderCertificatePayload(certificate)),
+    certificateKey.privateKey).toString('base64');
+  
+  return { certificate };
+});
+
+router.add('POST', '/sealed-messages', {
+  // Sealed-sender messages are not signed: the sender is hidden inside
+  // the envelope, and the recipient's delivery token authorizes the send
+  summary: 'Queue a sealed-sender message for one device of a user, authorized by the recipient\'s delivery token',
+  rateLimit: RATE_LIMITS.sealedSend,
+  body: {
+    recipient: 'userId',
+    recipientDevice: optional('integer'),
+    deliveryToken: 'string',
+    envelope: {
+      version: 'integer',
+      ephemeralKey: 'key',
+      iv: 'base64',
+      ciphertext: 'base64',
+      tag: 'base64'
+    },
+    ttl: optional('integer')
+  }
+}, (ctx) => {
+  const { recipient, recipientDevice = PRIMARY_DEVICE_ID, deliveryToken, envelope, ttl } = ctx.data;
+  const devices = storage.listDevices(recipient);
+  const tokenHash = hashDeliveryToken(deliveryToken);
+  
+  // A token shared by any of the recipient's devices opens all of them
+  if (!devices.some(device => isValidDeliveryToken(device, tokenHash))) {
+    throw createApiError('unauthorized', 'Invalid delivery token');
+  }
+  if (!devices.some(device => device.deviceId === recipientDevice)) {
+    throw createApiError('device_not_found', 'Recipient device not found');
+  }
+  limitRate(sealedSendClientBuckets, `${ctx.req.socket.remoteAddress} ${tokenHash}`, SEALED_SEND_CLIENT_LIMIT);
+  limitRate(sealedSendBuckets, tokenHash, SEALED_SEND_LIMIT);
+  
+  const id = enqueueMessage(recipient, recipientDevice, { sealed: true, recipient, recipientDevice, envelope }, ttl);
+  if (!id) {
+    throw createApiError('queue_full', 'Recipient queue is full');
+  }
+  console.log(`Sealed message sent to ${getAddress(recipient, recipientDevice)}`);
+  
+  return { success: true, id };
+});
+
+router.add('GET', '/account/messages', {
+  summary: 'Get the messages queued for the signing device',
+  auth: 'device'
+}, (ctx) => {
+  // Only the recipient device may read its own queue
+  const { userId, device } = authenticate(ctx);
+  
+  // Every unacknowledged message is returned again until the client
+  // acks it, so nothing is lost if the client fails before processing
+  const now = Date.now();
+  const messages = storage.getMessages(userId, device.deviceId).filter(message => message.expiresAt > now);
+  
+  return { messages };
+});
+
+router.add('POST', '/account/messages/ack', {
+  summary: 'Remove processed messages from the signing device\'s queue',
+  auth: 'device',
+  body: { ids: arrayOf('string', MAX_QUEUED_MESSAGES) }
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const { ids } = ctx.data;
+  
+  return { acknowledged: ids.length > 0 ? storage.ackMessages(userId, device.deviceId, ids) : 0 };
+});
+
+router.add('GET', '/account/events', {
+  summary: 'Open a server-sent event stream that announces new messages for the signing device',
+  auth: 'device'
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  
+  openEventStream(userId, device.deviceId, ctx.res);
+});
+
+// Groups
+
+router.add('POST', '/groups', {
+  summary: 'Create a group with the signing user as its admin',
+  auth: 'device',
+  body: { members: optional(arrayOf('userId')) }
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  const { members = [] } = ctx.data;
+  
+  const unknownMembers = members.filter(member => !storage.getUser(member));
+  if (unknownMembers.length > 0) {
+    throw createApiError('user_not_found', `Unknown users: ${unknownMembers.join(', ')}`);
+  }
+  
+  const group = {
+    groupId: crypto.randomBytes(8).toString('hex'),
+    members: Array.from(new Set([userId, ...members])),
+    admins: [userId],
+    createdAt: Date.now()
+  };
+  storage.putGroup(group);
+  console.log(`Group ${group.groupId} created by ${userId}`);
+  
+  return group;
+});
+
+router.add('GET', '/groups/:groupId', {
+  summary: 'Get a group the signing user belongs to',
+  auth: 'device'
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  
+  return getGroupForMember(ctx.params.groupId, userId);
+});
+
+router.add('PATCH', '/groups/:groupId', {
+  summary: 'Add or remove group members (admins only); any member can remove themselves to leave',
+  auth: 'device',
+  body: { add: optional(arrayOf('userId')), remove: optional(arrayOf('userId')) }
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  const { groupId } = ctx.params;
+  const { add = [], remove = [] } = ctx.data;
+  const group = getGroupForMember(groupId, userId);
+  
+  const leaving = add.length === 0 && remove.length > 0 && remove.every(member => member === userId);
+  if (!group.admins.includes(userId) && !leaving) {
+    throw createApiError('forbidden', 'Only group admins can change members');
+  }
+  
+  const unknownMembers = add.filter(member => !storage.getUser(member));
+  if (unknownMembers.length > 0) {
+    throw createApiError('user_not_found', `Unknown users: ${unknownMembers.join(', ')}`);
+  }
+  
+  const members = Array.from(new Set([...group.members, ...add]))
+    .filter(member => !remove.includes(member));
+  const admins = group.admins.filter(admin => members.includes(admin));
+  if (admins.length === 0) {
+    throw createApiError('conflict', 'A group must keep at least one admin');
+  }
+  
+  group.members = members;
+  group.admins = admins;
+  storage.putGroup(group);
+  console.log(`Group ${groupId} updated by ${userId}`);
+  
+  return group;
+});
+
+router.add('POST', '/groups/:groupId/messages', {
+  summary: 'Send a message encrypted with the sender key to every device of every group member',
+  auth: 'device',
+  body: {
+    version: 'integer',
+    groupId: 'string',
+    sender: 'userId',
+    senderDevice: 'integer',
+    keyId: 'integer',
+    iteration: 'integer',
+    timestamp: 'integer',
+    iv: 'base64',
+    ciphertext: 'base64',
+    tag: 'base64',
+    signature: 'base64',
+    ttl: optional('integer')
+  }
+}, (ctx) => {
+  const { ttl, ...groupMessage } = ctx.data;
+  const { userId, device } = authenticate(ctx);
+  
+  if (groupMessage.sender !== userId) {
+    throw createApiError('forbidden', 'Messages can only be sent in your own name');
+  }
+  if (groupMessage.groupId !== ctx.params.groupId) {
+    throw createApiError('invalid_request', 'Message is for a different group');
+  }
+  
+  const group = getGroupForMember(groupMessage.groupId, userId);
+  
+  // The message is encrypted once; every device of every member gets a
+  // copy, including the sender's other devices. Full queues miss out.
+  const queuedMessage = { ...groupMessage, senderDevice: device.deviceId, group: true };
+  group.members.forEach(member => storage.listDevices(member)
+    .filter(({ deviceId }) => member !== userId || deviceId !== device.deviceId)
+    .forEach(({ deviceId }) => enqueueMessage(member, deviceId, queuedMessage, ttl)));
+  console.log(`Group message sent to ${groupMessage.groupId}`);
+  
+  return { success: true };
+});
+
+// Linking devices
+
+router.add('POST', '/users/:userId/link-requests', {
+  // A new device asks to join an account. It has no device ID yet, so
+  // it signs as device 0 with the key it wants to register.
+  summary: 'Ask to link a new device to an account; returns the code to enter on the primary device',
+  auth: 'unlinkedDevice',
+  rateLimit: RATE_LIMITS.requestLink,
+  body: { identityKey: 'key', identityDhKey: 'key' }
+}, (ctx) => {
+  const { userId } = ctx.params;
+  const { identityKey, identityDhKey } = ctx.data;
+  
+  verifyRequest(ctx, userId, UNLINKED_DEVICE_ID, identityKey);
+  
+  if (!storage.getUser(userId)) {
+    throw createApiError('user_not_found', 'User not found');
+  }
+  limitUser(ctx, userId);
+  if (linkRequests.size >= MAX_LINK_REQUESTS && purgeExpiredLinkRequests() === 0) {
+    throw createApiError('rate_limited', 'Too many pending link requests', {
+      retryAfter: Math.ceil(LINK_REQUEST_LIFETIME / 1000)
+    });
+  }
+  
+  // The code is shown on the new device and typed into the primary device
+  let code;
+  do {
+    code = String(crypto.randomInt(0, 100000000)).padStart(8, '0');
+  } while (linkRequests.has(code));
+  
+  linkRequests.set(code, {
+    code,
+    userId,
+    identityKey,
+    identityDhKey,
+    deviceId: null,
+    deviceCertificate: null,
+    expiresAt: Date.now() + LINK_REQUEST_LIFETIME
+  });
+  console.log(`Link requested for a new device of ${userId}`);
+  
+  return { code, expiresAt: linkRequests.get(code).expiresAt };
+});
+
+router.add('GET', '/users/:userId/link-requests/:code', {
+  // Polled by the new device until the primary device approves it
+  summary: 'Check whether a link request has been approved',
+  auth: 'unlinkedDevice'
+}, (ctx) => {
+  const { userId, code } = ctx.params;
+  const request = getLinkRequest(userId, code);
+  
+  if (!request) {
+    throw createApiError('link_request_not_found', 'Unknown or expired link code');
+  }
+  verifyRequest(ctx, userId, UNLINKED_DEVICE_ID, request.identityKey);
+  
+  if (!request.deviceCertificate) {
+    return { approved: false };
+  }
+  
+  linkRequests.delete(request.code);
+  return {
+    approved: true,
+    deviceId: request.deviceId,
+    deviceCertificate: request.deviceCertificate
+  };
+});
+
+router.add('GET', '/account/link-requests/:code', {
+  summary: 'Get the keys of a device waiting to be linked and the device ID to certify (primary device only)',
+  auth: 'device'
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const request = getLinkRequest(userId, ctx.params.code);
+  
+  if (device.deviceId !== PRIMARY_DEVICE_ID) {
+    throw createApiError('forbidden', 'Only the primary device can link new devices');
+  }
+  if (!request) {
+    throw createApiError('link_request_not_found', 'Unknown or expired link code');
+  }
+  
+  // The certificate has to name the device ID, but the ID is only taken
+  // once the link is approved, so looking at a request uses up nothing
+  if (!request.deviceCertificate) {
+    request.deviceId = storage.getUser(userId).nextDeviceId;
+  }
+  
+  return {
+    deviceId: request.deviceId,
+    identityKey: request.identityKey,
+    identityDhKey: request.identityDhKey
+  };
+});
+
+router.add('POST', '/account/link-requests/:code/approve', {
+  summary: 'Approve a link request with a device certificate signed by the account key (primary device only)',
+  auth: 'device',
+  body: { deviceCertificate: DEVICE_CERTIFICATE_SCHEMA }
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const { deviceCertificate } = ctx.data;
+  const request = getLinkRequest(userId, ctx.params.code);
+  const account = storage.getUser(userId);
+  
+  if (device.deviceId !== PRIMARY_DEVICE_ID) {
+    throw createApiError('forbidden', 'Only the primary device can link new devices');
+  }
+  if (!request || request.deviceId === null) {
+    throw createApiError('link_request_not_found', 'Unknown or expired link code');
+  }
+  if (request.deviceCertificate) {
+    throw createApiError('conflict', 'Link request has already been approved');
+  }
+  // Another device was linked since the request was fetched
+  if (request.deviceId !== account.nextDeviceId) {
+    throw createApiError('conflict', 'Device ID has been taken; fetch the link request again');
+  }
+  
+  // Check the certificate as if the device ID had been taken already
+  const linkedAccount = { ...account, nextDeviceId: request.deviceId + 1 };
+  if (!isValidDeviceCertificate(linkedAccount, request.deviceId, request.identityKey, deviceCertificate) ||
+      deviceCertificate.identityDhKey !== request.identityDhKey) {
+    throw createApiError('invalid_request', 'Invalid device certificate');
+  }
+  
+  storage.updateUser(userId, { nextDeviceId: linkedAccount.nextDeviceId });
+  request.deviceCertificate = deviceCertificate;
+  console.log(`Device ${getAddress(userId, request.deviceId)} approved`);
+  
+  return { success: true, deviceId: request.deviceId };
+});
+
+router.add('GET', '/account/devices', {
+  summary: 'List the devices of the signing user\'s account',
+  auth: 'device'
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  
+  const devices = storage.listDevices(userId).map(device => ({
+    deviceId: device.deviceId,
+    identityKey: device.identityKey,
+    linkedAt: device.deviceCertificate ? device.deviceCertificate.issuedAt : null
+  }));
+  
+  return { devices };
+});
+
+router.add('DELETE', '/account/devices/:deviceId', {
+  summary: 'Revoke a device; the primary device can revoke any linked device, others only themselves',
+  auth: 'device'
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const { deviceId } = ctx.params;
+  
+  if (deviceId === PRIMARY_DEVICE_ID) {
+    throw createApiError('invalid_request', 'The primary device cannot be revoked');
+  }
+  if (device.deviceId !== PRIMARY_DEVICE_ID && device.deviceId !== deviceId) {
+    throw createApiError('forbidden', 'Only the primary device can revoke other devices');
+  }
+  if (!storage.getDevice(userId, deviceId)) {
+    throw createApiError('device_not_found', 'Device not found');
+  }
+  
+  // Remember the ID so its certificate cannot be used to register again
+  const account = storage.getUser(userId);
+  storage.updateUser(userId, { revokedDevices: [...account.revokedDevices, deviceId] });
+  storage.removeDevice(userId, deviceId);
+  closeEventStreams(userId, deviceId);
+  console.log(`Device ${getAddress(userId, deviceId)} revoked`);
+  
+  return { success: true };
+});
+
+router.add('POST', '/account/revoke', {
+  summary: 'Revoke the account identity key and replace it; all devices are removed, and the primary device ' +
+    'registers again with the new key',
+  auth: 'device',
+  body: { identityKey: 'key' }
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  const { identityKey } = ctx.data;
+  const account = storage.getUser(userId);
+  const revokedIdentityKeys = account.revokedIdentityKeys || [];
+  
+  if (device.deviceId !== PRIMARY_DEVICE_ID) {
+    throw createApiError('forbidden', 'Only the primary device can revoke the account key');
+  }
+  if (identityKey === account.identityKey || revokedIdentityKeys.includes(identityKey)) {
+    throw createApiError('conflict', 'The new identity key has been used by this account before');
+  }
+  
+  // Devices certified by the old key go, with their pre-keys and queues;
+  // their certificates no longer match the account key either
+  storage.listDevices(userId).forEach(({ deviceId }) => {
+    storage.removeDevice(userId, deviceId);
+    closeEventStreams(userId, deviceId);
+  });
+  storage.updateUser(userId, {
+    identityKey,
+    revokedIdentityKeys: [...revokedIdentityKeys, account.identityKey]
+  });
+  console.log(`Identity key of ${userId} revoked`);
+  
+  return { success: true };
+});
+
+router.add('DELETE', '/account', {
+  summary: 'Deregister the account, deleting its devices, queued messages and pre-keys',
+  auth: 'device'
+}, (ctx) => {
+  const { userId, device } = authenticate(ctx);
+  
+  if (device.deviceId !== PRIMARY_DEVICE_ID) {
+    throw createApiError('forbidden', 'Only the primary device can delete the account');
+  }
+  
+  const devices = storage.listDevices(userId);
+  storage.removeUser(userId);
+  devices.forEach(({ deviceId }) => closeEventStreams(userId, deviceId));
+  console.log(`User deregistered: ${userId}`);
+  
+  return { success: true };
+});
+
+// Attachments
+
+router.add('POST', '/attachments', {
+  summary: 'Start uploading an encrypted attachment',
+  auth: 'device',
+  body: { size: 'integer' }
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  const { size } = ctx.data;
+  
+  if (size <= 0 || size > MAX_BLOB_SIZE) {
+    throw createApiError('invalid_request', `Attachment size must be between 1 and ${MAX_BLOB_SIZE} bytes`);
+  }
+  
+  const blobId = blobStore.create(userId, size, Date.now() + BLOB_TTL);
+  
+  return { blobId, size, received: 0 };
+});
+
+router.add('GET', '/attachments/:blobId/upload', {
+  // Lets an interrupted upload continue where it stopped
+  summary: 'Report how much of an attachment has been uploaded (uploader only)',
+  auth: 'device'
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  const blob = getUpload(ctx.params.blobId, userId);
+  
+  return { blobId: ctx.params.blobId, size: blob.size, received: blob.received };
+});
+
+router.add('PATCH', '/attachments/:blobId', {
+  summary: 'Append a chunk to an attachment upload (uploader only)',
+  auth: 'device',
+  maxBodySize: MAX_UPLOAD_BODY_SIZE,
+  body: { offset: 'integer', data: 'base64' }
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  const { blobId } = ctx.params;
+  const { offset, data } = ctx.data;
+  const blob = getUpload(blobId, userId);
+  const chunk = Buffer.from(data, 'base64');
+  
+  if (chunk.length === 0 || chunk.length > MAX_TRANSFER_CHUNK_SIZE) {
+    throw createApiError('invalid_request', `Chunks must be between 1 and ${MAX_TRANSFER_CHUNK_SIZE} bytes`);
+  }
+  if (offset !== blob.received) {
+    throw createApiError('conflict', `Upload continues at offset ${blob.received}`);
+  }
+  if (offset + chunk.length > blob.size) {
+    throw createApiError('invalid_request', 'Chunk runs past the end of the attachment');
+  }
+  
+  const received = blobStore.append(blobId, offset, chunk);
+  if (received === blob.size) {
+    console.log(`Attachment ${blobId} uploaded by ${userId}`);
+  }
+  
+  return { blobId, size: blob.size, received };
+});
+
+router.add('GET', '/attachments/:blobId', {
+  // Anyone registered may fetch a blob by ID; it is useless without the
+  // key, which only the recipients of the message have
+  summary: 'Download part of a completely uploaded attachment',
+  auth: 'device',
+  query: { offset: optional('integer'), length: optional('integer') }
+}, (ctx) => {
+  authenticate(ctx);
+  const { blobId } = ctx.params;
+  const { offset = 0, length = MAX_TRANSFER_CHUNK_SIZE } = ctx.query;
+  const blob = blobStore.get(blobId);
+  
+  if (!blob || blob.received < blob.size) {
+    throw createApiError('attachment_not_found', 'Attachment not found');
+  }
+  if (offset > blob.size || length <= 0) {
+    throw createApiError('invalid_request', 'Invalid range');
+  }
+  
+  const chunk = blobStore.read(blobId, offset, Math.min(length, MAX_TRANSFER_CHUNK_SIZE));
+  
+  return { blobId, size: blob.size, offset, data: chunk.toString('base64') };
+});
+
+// Contact discovery and documentation
+
+router.add('POST', '/contacts/discover', {
+  summary: 'Find out which of the given contact hashes belong to registered users',
+  body: { hashes: arrayOf('hex', MAX_DISCOVERY_HASHES) },
+  auth: 'device',
+  rateLimit: RATE_LIMITS.discoverContacts
+}, (ctx) => {
+  const { userId } = authenticate(ctx);
+  limitUser(ctx, userId);
+  
+  // Only the hashes that were asked for come back, never the user IDs
+  const hashes = Array.from(new Set(ctx.data.hashes.map(hash => hash.toLowerCase())));
+  
+  return { matches: storage.matchContactHashes(hashes) };
+});
+
+router.add('GET', '/openapi.json', {
+  summary: 'Describe this API as an OpenAPI document'
+}, () => router.describe({
+  info: { title: 'Secure Messaging API', version: '1' },
+  components: {
+    securitySchemes: {
+      device: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Auth-Signature',
+        description: 'Signature by a registered device\'s identity key over the method, path, X-Auth-Device, ' +
+          'X-Auth-Timestamp, X-Auth-Nonce and body hash; X-Auth-User names the user'
+      },
+      unlinkedDevice: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Auth-Signature',
+        description: 'Like device, but signed as device 0 with the key of a device that is not linked yet'
       }
-    } catch (error) {
-      console.error('Server error:', error);
-      res.statusCode = 500;
-      res.end(JSON.stringify({ error: 'Server error' }));
     }
+  }
+}));
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} value - Response body
+ */
+function sendJson(res, statusCode, value) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(value));
+}
+
+/**
+ * Send an error response with its code, e.g. { code: 'user_not_found',
+ * error: 'User not found' }. Errors other than ApiErrors are reported as
+ * invalid_request (for validation errors) or server_error.
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error thrown while handling the request
+ */
+function sendError(res, error) {
+  let apiError = error;
+  
+  if (error instanceof ValidationError) {
+    apiError = createApiError('invalid_request', error.message);
+  } else if (!(error instanceof ApiError)) {
+    console.error('Server error:', error);
+    apiError = createApiError('server_error', 'Server error');
+  }
+  
+  // An event stream may already have started
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  
+  if (apiError.retryAfter) {
+    res.setHeader('Retry-After', String(apiError.retryAfter));
+  }
+  sendJson(res, apiError.statusCode, { code: apiError.code, error: apiError.message });
+}
+
+/**
+ * Run the route a request matched once its body has arrived
+ * @param {Object} match - Route and parameters from Router.match
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} body - Raw request body
+ */
+function handleRequest(match, req, res, body) {
+  try {
+    const { route, params, query } = match;
+    
+    if (route.rateLimit) {
+      limitRate(rateLimitBuckets.ip, `${route.method} ${route.path} ${req.socket.remoteAddress}`, route.rateLimit.ip);
+    }
+    
+    let data = null;
+    if (route.body) {
+      data = parseBody(body, route.body);
+    } else if (body) {
+      throw createApiError('invalid_request', 'This endpoint does not take a request body');
+    }
+    
+    const result = route.handler({ req, res, body, route, params, query, data });
+    if (result !== undefined) {
+      sendJson(res, 200, result);
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+// Create HTTP server
+const server = tlsOptions ? https.createServer(tlsOptions) : http.createServer();
+
+server.on('request', (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers',
+    'Content-Type, X-Auth-User, X-Auth-Device, X-Auth-Timestamp, X-Auth-Nonce, X-Auth-Signature');
+  
+  // Handle OPTIONS request for CORS
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end();
+    return;
+  }
+  
+  let match;
+  try {
+    match = router.match(req.method, req.url);
+  } catch (error) {
+    sendError(res, error);
+    req.resume();
+    return;
+  }
+  
+  const maxBodySize = match.route.maxBodySize || MAX_BODY_SIZE;
+  const chunks = [];
+  let bodySize = 0;
+  
+  req.on('data', chunk => {
+    bodySize += chunk.length;
+    
+    if (bodySize <= maxBodySize) {
+      chunks.push(chunk);
+    } else if (!res.headersSent) {
+      // Stop reading and drop the connection once the answer is out
+      res.setHeader('Connection', 'close');
+      sendError(res, createApiError('payload_too_large', `Request body is larger than ${maxBodySize} bytes`));
+      res.on('finish', () => req.destroy());
+    }
+  });
+  
+  req.on('end', () => {
+    if (bodySize <= maxBodySize) {
+      handleRequest(match, req, res, Buffer.concat(chunks).toString());
+    }
+  });
+});
+
+// Expire undelivered messages, old attachments and link requests in the background
+setInterval(purgeExpiredMessages, EXPIRY_CHECK_INTERVAL).unref();
+setInterval(purgeExpiredBlobs, EXPIRY_CHECK_INTERVAL).unref();
+setInterval(purgeRateLimitBuckets, EXPIRY_CHECK_INTERVAL).unref();
+setInterval(purgeExpiredLinkRequests, EXPIRY_CHECK_INTERVAL).unref();
+
+// Flush the storage log before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, async () => {
+    await storage.close();
+    process.exit(0);
   });
 });
 
 // Start the server
-const PORT = 3000;
-server.listen(PORT, () => {
-  console.log(`Secure Messaging Server running on port ${PORT}`);
-  console.log(`Server URL: http://localhost:${PORT}`);
+server.listen(config.port, config.host || undefined, () => {
+  const { port } = server.address();
+  
+  console.log(`Secure Messaging Server running on port ${port}`);
+  console.log(`Server URL: ${tlsOptions ? 'https' : 'http'}://${config.host || 'localhost'}:${port}`);
+  
+  // Clients pin this to trust the server, even with a self-signed certificate
+  if (tlsOptions) {
+    console.log(`Certificate public key pin: ${getPublicKeyPin(tlsOptions.cert)}`);
+  }
 });
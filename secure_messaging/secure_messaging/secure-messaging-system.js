@@ -1,31 +1,325 @@
 // secure-messaging-system.js
 const crypto = require('crypto');
 
+// Defaults for the skipped-message-key store
+const DEFAULT_MAX_SKIP = 1000;
+const DEFAULT_MAX_SKIPPED_KEYS = 2000;
+const DEFAULT_SKIPPED_KEY_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Initial number of one-time pre-keys generated on first start
+const DEFAULT_ONE_TIME_PRE_KEY_COUNT = 100;
+
+// Signed pre-keys rotate weekly; retired ones stay usable for the grace period
+const DEFAULT_SIGNED_PRE_KEY_ROTATION_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_SIGNED_PRE_KEY_GRACE_PERIOD = 14 * 24 * 60 * 60 * 1000;
+
+// Message package versions: 1 is AES-CBC + HMAC over JSON (read-only, for
+// migration), 2 is AES-256-GCM with a binary header as associated data
+const MESSAGE_VERSION_LEGACY = 1;
+const MESSAGE_VERSION = 2;
+
+// AES-GCM tags are always full length; shorter ones are easier to forge
+const AUTH_TAG_LENGTH = 16;
+
+// Sealed-sender envelope format version
+const SEALED_SENDER_VERSION = 1;
+
+// Group (sender key) message format version
+const GROUP_MESSAGE_VERSION = 1;
+
+// Inner payload (the plaintext of direct and group messages) format version.
+// Payloads are JSON objects tagged with this version and a type.
+const PAYLOAD_VERSION = 1;
+
+// Required fields of the payload types users see; other types are control
+// messages whose fields the client checks itself. Text and attachments also
+// carry a message ID, except from peers that predate message IDs.
+const PAYLOAD_FIELDS = {
+  text: { text: 'string' },
+  attachment: { attachment: 'object' },
+  reaction: { messageId: 'string', emoji: 'string' },
+  edit: { messageId: 'string', text: 'string' },
+  delete: { messageId: 'string' }
+};
+
+// Reactions are a single emoji, or at most a few characters; an empty
+// reaction takes an earlier one back
+const MAX_REACTION_LENGTH = 16;
+
+// Attachment blobs are IV || AES-256-GCM ciphertext || tag under a one-off
+// key; the pointer in the message carries the key and the SHA-256 of the blob
+const ATTACHMENT_IV_LENGTH = 12;
+const ATTACHMENT_TAG_LENGTH = 16;
+const ATTACHMENT_KEY_LENGTH = 32;
+const ATTACHMENT_DIGEST_LENGTH = 32;
+
+// The device that registers an account holds the account identity key;
+// devices linked later are certified by it
+const PRIMARY_DEVICE_ID = 1;
+
+// How many of the peer's previous ratchet keys we remember for replay detection
+const MAX_PREVIOUS_RATCHET_KEYS = 20;
+
+// Prefix of hashed user IDs in contact discovery, so they differ from
+// hashes of the same strings anywhere else
+const CONTACT_HASH_PREFIX = 'secure-messaging-contact:';
+
+/**
+ * ReplayError - Raised when a message was already decrypted (or its key has
+ * expired), so callers can tell replays apart from corrupted messages
+ */
+class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
+
+/**
+ * Build the data covered by a signed pre-key signature
+ * @param {number} keyId - Signed pre-key id
+ * @param {string} publicKey - Signed pre-key public key
+ * @param {number} timestamp - Creation time in ms
+ * @returns {string} Canonical payload to sign or verify
+ */
+function getSignedPreKeyPayload(keyId, publicKey, timestamp) {
+  return JSON.stringify({ keyId, publicKey, timestamp });
+}
+
+/**
+ * Build the address of one of a user's devices, used to key sessions
+ * @param {string} userId - User ID
+ * @param {number} deviceId - Device ID
+ * @returns {string} Device address
+ */
+function getAddress(userId, deviceId) {
+  return `${userId}.${deviceId}`;
+}
+
+/**
+ * Hash a user ID for contact discovery. User IDs are short enough to guess,
+ * so the hash keeps them out of requests and logs rather than making them
+ * secret; the server also limits how many a client can look up.
+ * @param {string} userId - User ID
+ * @returns {string} Hex SHA-256 hash
+ */
+function getContactHash(userId) {
+  return crypto.createHash('sha256').update(CONTACT_HASH_PREFIX + userId).digest('hex');
+}
+
+/**
+ * Build the data covered by a device certificate signature
+ * @param {Object} certificate - Device certificate fields
+ * @returns {string} Canonical payload to sign or verify
+ */
+function getDeviceCertificatePayload(certificate) {
+  return JSON.stringify({
+    userId: certificate.userId,
+    deviceId: certificate.deviceId,
+    identityKey: certificate.identityKey,
+    identityDhKey: certificate.identityDhKey,
+    accountIdentityKey: certificate.accountIdentityKey,
+    issuedAt: certificate.issuedAt
+  });
+}
+
+/**
+ * Decode an AES-GCM authentication tag, rejecting missing or truncated ones
+ * @param {string} tag - Base64 tag
+ * @returns {Buffer} Tag of AUTH_TAG_LENGTH bytes
+ */
+function decodeAuthTag(tag) {
+  const bytes = typeof tag === 'string' ? Buffer.from(tag, 'base64') : Buffer.alloc(0);
+  if (bytes.length !== AUTH_TAG_LENGTH) {
+    throw new Error('Invalid authentication tag');
+  }
+  return bytes;
+}
+
+/**
+ * Encode a string as a 2-byte length prefix followed by its UTF-8 bytes
+ * @param {string} value - String to encode
+ * @returns {Buffer} Encoded field
+ */
+function encodeField(value) {
+  const bytes = Buffer.from(value || '', 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(bytes.length);
+  return Buffer.concat([length, bytes]);
+}
+
+/**
+ * Encode the message header canonically. The result is used as AEAD
+ * associated data, so any change to these fields fails decryption.
+ * @param {Object} messagePackage - Message package fields
+ * @returns {Buffer} Binary header
+ */
+function encodeMessageHeader(messagePackage) {
+  const numbers = Buffer.alloc(16);
+  numbers.writeBigUInt64BE(BigInt(messagePackage.timestamp));
+  numbers.writeUInt32BE(messagePackage.counter, 8);
+  numbers.writeUInt32BE(messagePackage.previousCounter, 12);
+  
+  const preKeyHeader = messagePackage.preKeyHeader;
+  const preKeyFields = preKeyHeader ? [
+    Buffer.from([1]),
+    encodeField(preKeyHeader.identityKey),
+    encodeField(preKeyHeader.identityDhKey),
+    encodeField(preKeyHeader.identityDhKeySignature),
+    encodeField(preKeyHeader.ephemeralKey),
+    encodeField(String(preKeyHeader.preKeyId)),
+    encodeField(preKeyHeader.oneTimePreKeyId === null ? '' : String(preKeyHeader.oneTimePreKeyId))
+  ] : [Buffer.from([0])];
+  
+  // A linked device's certificate names the account key the recipient
+  // trusts, so it must not be swapped in transit. Headers without one keep
+  // their old encoding.
+  if (preKeyHeader && preKeyHeader.deviceCertificate) {
+    preKeyFields.push(
+      encodeField(getDeviceCertificatePayload(preKeyHeader.deviceCertificate)),
+      encodeField(preKeyHeader.deviceCertificate.signature)
+    );
+  }
+  
+  return Buffer.concat([
+    Buffer.from([messagePackage.version]),
+    encodeField(messagePackage.sessionId),
+    encodeField(messagePackage.sender),
+    encodeField(messagePackage.recipient),
+    numbers,
+    encodeField(messagePackage.ratchetKey),
+    ...preKeyFields
+  ]);
+}
+
+/**
+ * Encode the header of a group message canonically, for use as associated data
+ * @param {Object} groupMessage - Group message fields
+ * @returns {Buffer} Binary header
+ */
+function encodeGroupMessageHeader(groupMessage) {
+  const numbers = Buffer.alloc(16);
+  numbers.writeBigUInt64BE(BigInt(groupMessage.timestamp));
+  numbers.writeUInt32BE(groupMessage.keyId, 8);
+  numbers.writeUInt32BE(groupMessage.iteration, 12);
+  
+  return Buffer.concat([
+    Buffer.from([groupMessage.version]),
+    encodeField(groupMessage.groupId),
+    encodeField(groupMessage.sender),
+    numbers
+  ]);
+}
+
+/**
+ * Build the data covered by a sender certificate signature. The server signs
+ * it, binding the sender's user and device ID to the registered identity key.
+ * @param {Object} certificate - Sender certificate fields
+ * @returns {string} Canonical payload to sign or verify
+ */
+function getSenderCertificatePayload(certificate) {
+  const { deviceCertificate } = certificate;
+  
+  return JSON.stringify({
+    sender: certificate.sender,
+    senderDevice: certificate.senderDevice,
+    identityKey: certificate.identityKey,
+    deviceCertificate: deviceCertificate ? getDeviceCertificatePayload(deviceCertificate) : null,
+    deviceCertificateSignature: deviceCertificate ? deviceCertificate.signature : null,
+    expires: certificate.expires
+  });
+}
+
+/**
+ * Check that a payload has the fields its type requires
+ * @param {Object} payload - Decoded payload
+ * @returns {boolean} True if the payload is well formed
+ */
+function isValidPayload(payload) {
+  if (!Object.prototype.hasOwnProperty.call(PAYLOAD_FIELDS, payload.type)) {
+    return true;
+  }
+  
+  const fields = PAYLOAD_FIELDS[payload.type];
+  
+  const complete = Object.entries(fields).every(([name, type]) => typeof payload[name] === type && payload[name] !== null);
+  if (!complete) {
+    return false;
+  }
+  
+  if (payload.type === 'text' && payload.replyTo !== undefined && typeof payload.replyTo !== 'string') {
+    return false;
+  }
+  if (payload.type === 'attachment' && !isValidAttachment(payload.attachment)) {
+    return false;
+  }
+  return payload.type !== 'reaction' || payload.emoji.length <= MAX_REACTION_LENGTH;
+}
+
+/**
+ * Check the fields of an attachment pointer
+ * @param {Object} attachment - Attachment pointer from a payload
+ * @returns {boolean} True if every field has the right type and length
+ */
+function isValidAttachment(attachment) {
+  return typeof attachment.blobId === 'string' && attachment.blobId.length > 0 &&
+    typeof attachment.key === 'string' && Buffer.from(attachment.key, 'base64').length === ATTACHMENT_KEY_LENGTH &&
+    typeof attachment.digest === 'string' &&
+    Buffer.from(attachment.digest, 'base64').length === ATTACHMENT_DIGEST_LENGTH &&
+    Number.isSafeInteger(attachment.size) && attachment.size >= 0 &&
+    typeof attachment.filename === 'string';
+}
+
 /**
  * SecureMessaging - A simple implementation of a secure messaging system
  * incorporating concepts from Signal Protocol and Noise Framework
  */
 class SecureMessaging {
-  constructor() {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {number} options.maxSkip - Largest counter jump accepted within one chain
+   * @param {number} options.maxSkippedKeys - Cap on stored skipped message keys per session or sender key
+   * @param {number} options.skippedKeyMaxAge - Lifetime of a skipped message key in ms
+   * @param {number} options.oneTimePreKeyCount - One-time pre-keys generated by initialize
+   * @param {number} options.signedPreKeyRotationInterval - Age in ms at which the signed pre-key rotates
+   * @param {number} options.signedPreKeyGracePeriod - How long in ms a retired signed pre-key is kept
+   */
+  constructor(options = {}) {
+    this.maxSkip = options.maxSkip || DEFAULT_MAX_SKIP;
+    this.maxSkippedKeys = options.maxSkippedKeys || DEFAULT_MAX_SKIPPED_KEYS;
+    this.skippedKeyMaxAge = options.skippedKeyMaxAge || DEFAULT_SKIPPED_KEY_MAX_AGE;
+    this.oneTimePreKeyCount = options.oneTimePreKeyCount || DEFAULT_ONE_TIME_PRE_KEY_COUNT;
+    this.signedPreKeyRotationInterval = options.signedPreKeyRotationInterval ||
+      DEFAULT_SIGNED_PRE_KEY_ROTATION_INTERVAL;
+    this.signedPreKeyGracePeriod = options.signedPreKeyGracePeriod || DEFAULT_SIGNED_PRE_KEY_GRACE_PERIOD;
+    
     // User's key pairs
     this.identityKeyPair = null;
-    this.preKeyPair = null;
-    this.oneTimePreKeys = [];
+    this.identityDhKeyPair = null;
+    this.signedPreKey = null;
+    this.previousSignedPreKeys = [];
+    this.nextSignedPreKeyId = 1;
+    this.oneTimePreKeys = new Map();
+    this.nextPreKeyId = 1;
+    
+    // Set on linked devices: the account identity key's signature over this device's keys
+    this.deviceCertificate = null;
     
-    // Session keys
+    // Double Ratchet state per session
     this.sessionKeys = new Map();
     
-    // Message counter for preventing replay attacks
-    this.messageCounter = 0;
+    // Group sender keys, keyed by "<groupId>:<device address>"
+    this.senderKeys = new Map();
   }
 
   /**
-   * Generate a new key pair using RSA (more compatible than x25519)
+   * Generate a new key pair. Ed25519 is used for signing, X25519 for
+   * Diffie-Hellman key agreement.
+   * @param {string} type - Key type ('x25519' or 'ed25519')
    * @returns {Object} Object containing public and private keys
    */
-  generateKeyPair() {
-    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-      modulusLength: 2048,
+  generateKeyPair(type = 'x25519') {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, {
       publicKeyEncoding: {
         type: 'spki',
         format: 'pem'
@@ -43,20 +337,147 @@ class SecureMessaging {
    * Initialize the client with necessary key pairs
    */
   async initialize() {
-    // Generate long-term identity key
-    this.identityKeyPair = this.generateKeyPair();
+    // Generate long-term identity keys: one for signing, one for key agreement
+    this.identityKeyPair = this.generateKeyPair('ed25519');
+    this.identityDhKeyPair = this.generateKeyPair();
     
-    // Generate medium-term pre key
-    this.preKeyPair = this.generateKeyPair();
+    // Generate medium-term signed pre key
+    this.signedPreKey = this.generateSignedPreKey();
     
-    // Generate one-time pre keys (usually 100, using 5 for demonstration)
-    for (let i = 0; i < 5; i++) {
-      this.oneTimePreKeys.push(this.generateKeyPair());
-    }
+    // Generate the initial batch of one-time pre keys
+    this.generateOneTimePreKeys(this.oneTimePreKeyCount);
     
     console.log('Client initialized with keys');
   }
 
+  /**
+   * Export all key material and session state for persistence
+   * @returns {Object} Plain object containing Buffers and PEM strings
+   */
+  exportState() {
+    return {
+      identityKeyPair: this.identityKeyPair,
+      identityDhKeyPair: this.identityDhKeyPair,
+      signedPreKey: this.signedPreKey,
+      previousSignedPreKeys: this.previousSignedPreKeys,
+      nextSignedPreKeyId: this.nextSignedPreKeyId,
+      oneTimePreKeys: Array.from(this.oneTimePreKeys.entries()),
+      nextPreKeyId: this.nextPreKeyId,
+      deviceCertificate: this.deviceCertificate,
+      sessionKeys: Array.from(this.sessionKeys.entries()),
+      senderKeys: Array.from(this.senderKeys.entries())
+    };
+  }
+
+  /**
+   * Restore state produced by exportState
+   * @param {Object} state - Previously exported state
+   */
+  importState(state) {
+    this.identityKeyPair = state.identityKeyPair;
+    this.identityDhKeyPair = state.identityDhKeyPair;
+    this.signedPreKey = state.signedPreKey;
+    this.previousSignedPreKeys = state.previousSignedPreKeys;
+    this.nextSignedPreKeyId = state.nextSignedPreKeyId;
+    this.oneTimePreKeys = new Map(state.oneTimePreKeys);
+    this.nextPreKeyId = state.nextPreKeyId;
+    this.deviceCertificate = state.deviceCertificate || null;
+    this.sessionKeys = new Map(state.sessionKeys);
+    this.senderKeys = new Map(state.senderKeys || []);
+  }
+
+  /**
+   * Generate a signed pre-key with an id and a signed creation timestamp
+   * @returns {Object} Signed pre-key including its private key
+   */
+  generateSignedPreKey() {
+    const keyId = this.nextSignedPreKeyId++;
+    const { publicKey, privateKey } = this.generateKeyPair();
+    const timestamp = Date.now();
+    
+    return {
+      keyId,
+      publicKey,
+      privateKey,
+      timestamp,
+      signature: this.sign(getSignedPreKeyPayload(keyId, publicKey, timestamp), this.identityKeyPair.privateKey)
+    };
+  }
+
+  /**
+   * Check whether the signed pre-key is old enough to be rotated
+   * @returns {boolean} True if rotation is due
+   */
+  needsSignedPreKeyRotation() {
+    return Date.now() - this.signedPreKey.timestamp >= this.signedPreKeyRotationInterval;
+  }
+
+  /**
+   * Replace the signed pre-key, keeping the old one for the grace period so
+   * initial messages already in flight can still be decrypted
+   * @returns {Object} Public part of the new signed pre-key, ready to upload
+   */
+  rotateSignedPreKey() {
+    this.previousSignedPreKeys.push({ ...this.signedPreKey, retiredAt: Date.now() });
+    this.signedPreKey = this.generateSignedPreKey();
+    this.pruneSignedPreKeys();
+    
+    return this.getSignedPreKeyBundle();
+  }
+
+  /**
+   * Forget retired signed pre-keys whose grace period has ended
+   */
+  pruneSignedPreKeys() {
+    const cutoff = Date.now() - this.signedPreKeyGracePeriod;
+    this.previousSignedPreKeys = this.previousSignedPreKeys.filter(key => key.retiredAt >= cutoff);
+  }
+
+  /**
+   * Look up the current or a retired signed pre-key by id
+   * @param {number} keyId - Signed pre-key id
+   * @returns {Object|undefined} Signed pre-key including its private key
+   */
+  getSignedPreKey(keyId) {
+    if (this.signedPreKey.keyId === keyId) {
+      return this.signedPreKey;
+    }
+    
+    this.pruneSignedPreKeys();
+    return this.previousSignedPreKeys.find(key => key.keyId === keyId);
+  }
+
+  /**
+   * Public fields of the current signed pre-key as they appear in a bundle
+   * @returns {Object} Signed pre-key bundle fields
+   */
+  getSignedPreKeyBundle() {
+    return {
+      preKeyId: this.signedPreKey.keyId,
+      preKey: this.signedPreKey.publicKey,
+      preKeyTimestamp: this.signedPreKey.timestamp,
+      signature: this.signedPreKey.signature
+    };
+  }
+
+  /**
+   * Generate a batch of one-time pre-keys and keep their private halves
+   * @param {number} count - Number of keys to generate
+   * @returns {Object[]} Public keys with their ids, ready to upload
+   */
+  generateOneTimePreKeys(count) {
+    const publicKeys = [];
+    
+    for (let i = 0; i < count; i++) {
+      const keyId = this.nextPreKeyId++;
+      const keyPair = this.generateKeyPair();
+      this.oneTimePreKeys.set(keyId, keyPair);
+      publicKeys.push({ keyId, publicKey: keyPair.publicKey });
+    }
+    
+    return publicKeys;
+  }
+
   /**
    * Register with the server
    * @param {string} userId - User identifier
@@ -71,9 +492,14 @@ class SecureMessaging {
     const registrationBundle = {
       userId,
       identityKey: this.identityKeyPair.publicKey,
-      preKey: this.preKeyPair.publicKey,
-      oneTimePreKeys: this.oneTimePreKeys.map(key => key.publicKey),
-      signature: this.sign(this.preKeyPair.publicKey, this.identityKeyPair.privateKey)
+      identityDhKey: this.identityDhKeyPair.publicKey,
+      identityDhKeySignature: this.sign(this.identityDhKeyPair.publicKey, this.identityKeyPair.privateKey),
+      ...this.getSignedPreKeyBundle(),
+      deviceCertificate: this.deviceCertificate,
+      oneTimePreKeys: Array.from(this.oneTimePreKeys.entries()).map(([keyId, key]) => ({
+        keyId,
+        publicKey: key.publicKey
+      }))
     };
     
     return registrationBundle;
@@ -81,30 +507,38 @@ class SecureMessaging {
 
   /**
    * Sign data with a private key
-   * @param {string} data - Data to sign
+   * @param {Buffer|string} data - Data to sign
    * @param {string} privateKey - Private key for signing
    * @returns {string} Signature
    */
   sign(data, privateKey) {
-    const sign = crypto.createSign('SHA256');
-    sign.update(typeof data === 'string' ? data : JSON.stringify(data));
-    sign.end();
-    return sign.sign(privateKey, 'base64');
+    const payload = this.toSignedPayload(data);
+    return crypto.sign(null, payload, privateKey).toString('base64');
+  }
+
+  /**
+   * Convert data to the bytes that get signed
+   * @param {Buffer|string|Object} data - Data to sign or verify
+   * @returns {Buffer} Bytes to sign
+   */
+  toSignedPayload(data) {
+    if (Buffer.isBuffer(data)) {
+      return data;
+    }
+    return Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
   }
 
   /**
    * Verify a signature
-   * @param {string} data - Original data
+   * @param {Buffer|string} data - Original data
    * @param {string} signature - Signature to verify
    * @param {string} publicKey - Public key for verification
    * @returns {boolean} True if signature is valid
    */
   verify(data, signature, publicKey) {
-    const verify = crypto.createVerify('SHA256');
-    verify.update(typeof data === 'string' ? data : JSON.stringify(data));
-    verify.end();
+    const payload = this.toSignedPayload(data);
     try {
-      return verify.verify(publicKey, signature, 'base64');
+      return crypto.verify(null, payload, publicKey, Buffer.from(signature, 'base64'));
     } catch (error) {
       console.error('Verification error:', error.message);
       return false;
@@ -112,47 +546,226 @@ class SecureMessaging {
   }
 
   /**
-   * Establish a session with another user
+   * Compute an X25519 shared secret
+   * @param {string} privateKey - Our private key (PEM)
+   * @param {string} publicKey - Their public key (PEM)
+   * @returns {Buffer} Shared secret
+   */
+  dh(privateKey, publicKey) {
+    return crypto.diffieHellman({
+      privateKey: crypto.createPrivateKey(privateKey),
+      publicKey: crypto.createPublicKey(publicKey)
+    });
+  }
+
+  /**
+   * Derive the X3DH root secret from the concatenated DH outputs
+   * @param {Buffer[]} dhOutputs - DH1..DH4 in protocol order
+   * @returns {Buffer} 32-byte shared secret
+   */
+  deriveX3DHSecret(dhOutputs) {
+    // 32 0xFF bytes prefix the key material, as specified for X25519 in X3DH
+    const keyMaterial = Buffer.concat([Buffer.alloc(32, 0xff), ...dhOutputs]);
+    return Buffer.from(crypto.hkdfSync('sha256', keyMaterial, Buffer.alloc(32), 'SecureMessagingX3DH', 32));
+  }
+
+  /**
+   * Establish a session with another user using X3DH
    * @param {string} recipientId - Recipient user ID
    * @param {Object} recipientBundle - Recipient's key bundle
    * @returns {string} Session ID
    */
   establishSession(recipientId, recipientBundle) {
-    // Verify the signature of the preKey using the identity key
+    // Verify the signatures of the preKey and DH identity key using the identity key
     const isValid = this.verify(
-      recipientBundle.preKey,
+      getSignedPreKeyPayload(recipientBundle.preKeyId, recipientBundle.preKey, recipientBundle.preKeyTimestamp),
       recipientBundle.signature,
       recipientBundle.identityKey
+    ) && this.verify(
+      recipientBundle.identityDhKey,
+      recipientBundle.identityDhKeySignature,
+      recipientBundle.identityKey
     );
     
     if (!isValid) {
       throw new Error('Invalid signature on recipient bundle');
     }
     
-    // Select one of the one-time pre-keys
-    const selectedOneTimePreKey = recipientBundle.oneTimePreKeys[0];
+    // The server hands out a single one-time pre-key per bundle fetch, or
+    // none once the recipient has run out
+    const selectedOneTimePreKey = recipientBundle.oneTimePreKey;
     
-    // Generate a shared secret (simplified for compatibility)
-    const sharedSecret = crypto.randomBytes(32);
+    // Ephemeral key for this handshake only
+    const ephemeralKeyPair = this.generateKeyPair();
+    
+    const dhOutputs = [
+      this.dh(this.identityDhKeyPair.privateKey, recipientBundle.preKey),
+      this.dh(ephemeralKeyPair.privateKey, recipientBundle.identityDhKey),
+      this.dh(ephemeralKeyPair.privateKey, recipientBundle.preKey)
+    ];
+    if (selectedOneTimePreKey) {
+      dhOutputs.push(this.dh(ephemeralKeyPair.privateKey, selectedOneTimePreKey.publicKey));
+    }
+    
+    const sharedSecret = this.deriveX3DHSecret(dhOutputs);
     
     // Create a unique session ID
     const sessionId = `${this.generateRandomId()}-${recipientId}`;
     
-    // Derive keys from the shared secret
-    const { encryptionKey, macKey, chainKey } = this.deriveKeys(sharedSecret);
+    // The recipient's signed pre-key is its first ratchet key, so we can
+    // derive a sending chain straight away
+    const dhSendingKeyPair = this.generateKeyPair();
+    const [rootKey, sendingChainKey] = this.kdfRootKey(
+      sharedSecret,
+      this.dh(dhSendingKeyPair.privateKey, recipientBundle.preKey)
+    );
     
-    // Store the session
+    // Store the session. The pre-key header is attached to outgoing messages
+    // until the recipient answers, so it can derive the same secret.
     this.sessionKeys.set(sessionId, {
       recipientId,
-      encryptionKey,
-      macKey,
-      chainKey,
-      messageCounter: 0
+      recipientDevice: recipientBundle.deviceId || PRIMARY_DEVICE_ID,
+      remoteIdentityDhKey: recipientBundle.identityDhKey,
+      rootKey,
+      dhSendingKeyPair,
+      dhReceivingKey: recipientBundle.preKey,
+      sendingChainKey,
+      receivingChainKey: null,
+      sendingCounter: 0,
+      receivingCounter: 0,
+      previousSendingCounter: 0,
+      previousReceivingKeys: [],
+      skippedMessageKeys: {},
+      preKeyHeader: {
+        identityKey: this.identityKeyPair.publicKey,
+        identityDhKey: this.identityDhKeyPair.publicKey,
+        identityDhKeySignature: this.sign(this.identityDhKeyPair.publicKey, this.identityKeyPair.privateKey),
+        ephemeralKey: ephemeralKeyPair.publicKey,
+        preKeyId: recipientBundle.preKeyId,
+        oneTimePreKeyId: selectedOneTimePreKey ? selectedOneTimePreKey.keyId : null,
+        deviceCertificate: this.deviceCertificate
+      }
     });
     
     return sessionId;
   }
 
+  /**
+   * Accept a session initiated by another user from their first message,
+   * which carries the pre-key header (responder side of X3DH). Anyone can
+   * build a pre-key header from our public bundle, so the session is only
+   * stored, and the one-time pre-key only used up, once the message decrypts.
+   * @param {string} senderId - Sender user ID
+   * @param {Object} messagePackage - First message of the session
+   * @param {number} senderDevice - Sender device ID
+   * @returns {string} Decrypted message
+   */
+  acceptSession(senderId, messagePackage, senderDevice = PRIMARY_DEVICE_ID) {
+    const { sessionId, preKeyHeader } = messagePackage;
+    const { decrypted, state } = this.decryptFirstMessage(senderId, messagePackage, senderDevice);
+    
+    // One-time pre-keys must never be used twice
+    if (preKeyHeader.oneTimePreKeyId !== null && preKeyHeader.oneTimePreKeyId !== undefined) {
+      this.oneTimePreKeys.delete(preKeyHeader.oneTimePreKeyId);
+    }
+    this.sessionKeys.set(sessionId, state);
+    
+    return decrypted;
+  }
+
+  /**
+   * Derive the session a pre-key message starts and decrypt the message with
+   * it, without storing anything. The pre-key header is authenticated with
+   * the message, so this also tells whether the header can be trusted.
+   * @param {string} senderId - Sender user ID
+   * @param {Object} messagePackage - First message of the session
+   * @param {number} senderDevice - Sender device ID
+   * @returns {Object} The decrypted message, and the new session state
+   */
+  decryptFirstMessage(senderId, messagePackage, senderDevice = PRIMARY_DEVICE_ID) {
+    const { preKeyHeader } = messagePackage;
+    
+    if (!this.identityDhKeyPair) {
+      throw new Error('Client not initialized');
+    }
+    
+    const isValid = this.verify(
+      preKeyHeader.identityDhKey,
+      preKeyHeader.identityDhKeySignature,
+      preKeyHeader.identityKey
+    );
+    
+    if (!isValid) {
+      throw new Error('Invalid signature on pre-key header');
+    }
+    
+    // The initiator may have fetched a signed pre-key we have since rotated
+    const signedPreKey = this.getSignedPreKey(preKeyHeader.preKeyId);
+    if (!signedPreKey) {
+      throw new Error('Unknown or expired signed pre-key');
+    }
+    
+    const dhOutputs = [
+      this.dh(signedPreKey.privateKey, preKeyHeader.identityDhKey),
+      this.dh(this.identityDhKeyPair.privateKey, preKeyHeader.ephemeralKey),
+      this.dh(signedPreKey.privateKey, preKeyHeader.ephemeralKey)
+    ];
+    
+    if (preKeyHeader.oneTimePreKeyId !== null && preKeyHeader.oneTimePreKeyId !== undefined) {
+      const oneTimePreKey = this.oneTimePreKeys.get(preKeyHeader.oneTimePreKeyId);
+      if (!oneTimePreKey) {
+        throw new Error('Unknown one-time pre-key');
+      }
+      dhOutputs.push(this.dh(oneTimePreKey.privateKey, preKeyHeader.ephemeralKey));
+    }
+    
+    const sharedSecret = this.deriveX3DHSecret(dhOutputs);
+    
+    // Our signed pre-key acts as the initial ratchet key; the chains are
+    // derived when the first message's ratchet key is processed
+    return this.decryptWithSession({
+      recipientId: senderId,
+      recipientDevice: senderDevice,
+      remoteIdentityDhKey: preKeyHeader.identityDhKey,
+      rootKey: sharedSecret,
+      dhSendingKeyPair: {
+        publicKey: signedPreKey.publicKey,
+        privateKey: signedPreKey.privateKey
+      },
+      dhReceivingKey: null,
+      sendingChainKey: null,
+      receivingChainKey: null,
+      sendingCounter: 0,
+      receivingCounter: 0,
+      previousSendingCounter: 0,
+      previousReceivingKeys: [],
+      skippedMessageKeys: {}
+    }, messagePackage);
+  }
+
+  /**
+   * End our sessions with a peer device, for example when the session is
+   * reset. Their ratchet state is deleted, so messages still in flight on
+   * them can no longer be decrypted.
+   * @param {string} userId - Peer user ID
+   * @param {number} deviceId - Peer device ID
+   * @param {string} keepSessionId - Session to leave in place, if any
+   * @returns {number} Number of sessions ended
+   */
+  endSessions(userId, deviceId, keepSessionId = null) {
+    let ended = 0;
+    
+    for (const [sessionId, session] of this.sessionKeys) {
+      if (session.recipientId === userId && (session.recipientDevice || PRIMARY_DEVICE_ID) === deviceId &&
+          sessionId !== keepSessionId) {
+        this.sessionKeys.delete(sessionId);
+        ended += 1;
+      }
+    }
+    
+    return ended;
+  }
+
   /**
    * Generate a random ID
    * @returns {string} Random ID
@@ -162,59 +775,118 @@ class SecureMessaging {
   }
 
   /**
-   * Derive keys from a master secret using a simple KDF
-   * @param {Buffer} masterSecret - Master secret
-   * @returns {Object} Derived keys
+   * Root key KDF: mix a DH output into the root key
+   * @param {Buffer} rootKey - Current root key
+   * @param {Buffer} dhOutput - DH ratchet output
+   * @returns {Buffer[]} New root key and new chain key
    */
-  deriveKeys(masterSecret) {
-    const hash1 = crypto.createHash('sha256').update(Buffer.concat([masterSecret, Buffer.from('encryption')])).digest();
-    const hash2 = crypto.createHash('sha256').update(Buffer.concat([masterSecret, Buffer.from('mac')])).digest();
-    const hash3 = crypto.createHash('sha256').update(Buffer.concat([masterSecret, Buffer.from('chain')])).digest();
-    
+  kdfRootKey(rootKey, dhOutput) {
+    const output = Buffer.from(crypto.hkdfSync('sha256', dhOutput, rootKey, 'SecureMessagingRatchet', 64));
+    return [output.subarray(0, 32), output.subarray(32, 64)];
+  }
+
+  /**
+   * Chain key KDF: step a sending or receiving chain
+   * @param {Buffer} chainKey - Current chain key
+   * @returns {Buffer[]} Next chain key and the message key for this step
+   */
+  kdfChainKey(chainKey) {
+    const messageKey = crypto.createHmac('sha256', chainKey).update(Buffer.from([0x01])).digest();
+    const nextChainKey = crypto.createHmac('sha256', chainKey).update(Buffer.from([0x02])).digest();
+    return [nextChainKey, messageKey];
+  }
+
+  /**
+   * Expand a message key into encryption and MAC keys
+   * @param {Buffer} messageKey - Message key from the chain
+   * @returns {Object} Encryption and MAC keys
+   */
+  deriveMessageKeys(messageKey) {
+    const output = Buffer.from(crypto.hkdfSync('sha256', messageKey, Buffer.alloc(32), 'SecureMessagingMessageKeys', 64));
     return {
-      encryptionKey: hash1.slice(0, 16),
-      macKey: hash2.slice(0, 16),
-      chainKey: hash3.slice(0, 16)
+      encryptionKey: output.subarray(0, 32),
+      macKey: output.subarray(32, 64)
     };
   }
 
+  /**
+   * Perform a DH ratchet step after the peer switched to a new ratchet key
+   * @param {Object} session - Session state to update
+   * @param {string} remoteRatchetKey - Peer's new ratchet public key
+   */
+  dhRatchetStep(session, remoteRatchetKey) {
+    session.previousSendingCounter = session.sendingCounter;
+    session.sendingCounter = 0;
+    session.receivingCounter = 0;
+    
+    if (session.dhReceivingKey) {
+      session.previousReceivingKeys = [session.dhReceivingKey, ...session.previousReceivingKeys]
+        .slice(0, MAX_PREVIOUS_RATCHET_KEYS);
+    }
+    session.dhReceivingKey = remoteRatchetKey;
+    
+    [session.rootKey, session.receivingChainKey] = this.kdfRootKey(
+      session.rootKey,
+      this.dh(session.dhSendingKeyPair.privateKey, remoteRatchetKey)
+    );
+    
+    session.dhSendingKeyPair = this.generateKeyPair();
+    
+    [session.rootKey, session.sendingChainKey] = this.kdfRootKey(
+      session.rootKey,
+      this.dh(session.dhSendingKeyPair.privateKey, remoteRatchetKey)
+    );
+  }
+
   /**
    * Encrypt a message
    * @param {string} sessionId - Session ID
    * @param {string} message - Message to encrypt
+   * @param {Object} metadata - Sender, recipient and timestamp, authenticated with the
+   *   message, plus the sender and recipient device IDs used for routing
    * @returns {Object} Encrypted message package
    */
-  encryptMessage(sessionId, message) {
+  encryptMessage(sessionId, message, metadata) {
     const session = this.sessionKeys.get(sessionId);
     if (!session) {
       throw new Error('Session not found');
     }
     
-    // Increment message counter
-    session.messageCounter += 1;
-    
-    // Create initialization vector
-    const iv = crypto.randomBytes(16);
+    if (!session.sendingChainKey) {
+      throw new Error('Session has no sending chain yet');
+    }
     
-    // Encrypt the message
-    const cipher = crypto.createCipheriv('aes-128-cbc', session.encryptionKey, iv);
-    let encrypted = cipher.update(message, 'utf8', 'base64');
-    encrypted += cipher.final('base64');
+    // Step the sending chain to get a fresh message key
+    let messageKey;
+    [session.sendingChainKey, messageKey] = this.kdfChainKey(session.sendingChainKey);
+    const { encryptionKey } = this.deriveMessageKeys(messageKey);
     
-    // Create the message package
+    // Create the message package header
     const messagePackage = {
+      version: MESSAGE_VERSION,
       sessionId,
-      counter: session.messageCounter,
-      iv: iv.toString('base64'),
-      ciphertext: encrypted
+      sender: metadata.sender,
+      recipient: metadata.recipient,
+      senderDevice: metadata.senderDevice || PRIMARY_DEVICE_ID,
+      recipientDevice: metadata.recipientDevice || PRIMARY_DEVICE_ID,
+      timestamp: metadata.timestamp,
+      ratchetKey: session.dhSendingKeyPair.publicKey,
+      counter: session.sendingCounter,
+      previousCounter: session.previousSendingCounter,
+      preKeyHeader: session.preKeyHeader
     };
     
-    // Calculate MAC for the message package
-    const mac = this.calculateMAC(messagePackage, session.macKey);
-    messagePackage.mac = mac;
+    // Encrypt the message, authenticating the header as associated data
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    cipher.setAAD(encodeMessageHeader(messagePackage));
+    const ciphertext = Buffer.concat([cipher.update(message, 'utf8'), cipher.final()]);
+    
+    messagePackage.iv = iv.toString('base64');
+    messagePackage.ciphertext = ciphertext.toString('base64');
+    messagePackage.tag = cipher.getAuthTag().toString('base64');
     
-    // Update the chain key
-    this.updateChainKey(sessionId);
+    session.sendingCounter += 1;
     
     return messagePackage;
   }
@@ -230,14 +902,125 @@ class SecureMessaging {
       throw new Error('Session not found');
     }
     
-    // Verify the message counter to prevent replay attacks
-    if (messagePackage.counter <= session.messageCounter) {
-      throw new Error('Potential replay attack detected');
+    const { decrypted, state } = this.decryptWithSession(session, messagePackage);
+    
+    // Commit the new ratchet state
+    this.sessionKeys.set(messagePackage.sessionId, state);
+    
+    return decrypted;
+  }
+
+  /**
+   * Decrypt a message with a session, leaving the session untouched
+   * @param {Object} session - Session state
+   * @param {Object} messagePackage - Encrypted message package
+   * @returns {Object} The decrypted message, and the session state after it
+   */
+  decryptWithSession(session, messagePackage) {
+    // Version 2 headers authenticate the sender, which must be the session's peer
+    if (messagePackage.version && messagePackage.sender !== session.recipientId) {
+      throw new Error('Message sender does not match session');
+    }
+    if ((messagePackage.senderDevice || PRIMARY_DEVICE_ID) !== (session.recipientDevice || PRIMARY_DEVICE_ID)) {
+      throw new Error('Message sender device does not match session');
+    }
+    
+    // Work on a copy so a forged or corrupted message leaves the session untouched
+    const state = {
+      ...session,
+      skippedMessageKeys: { ...session.skippedMessageKeys }
+    };
+    this.pruneSkippedMessageKeys(state);
+    
+    const skippedKeyId = this.getSkippedKeyId(messagePackage.ratchetKey, messagePackage.counter);
+    let messageKey;
+    
+    if (state.skippedMessageKeys[skippedKeyId]) {
+      // A late message whose key was stored when the chain moved past it
+      messageKey = state.skippedMessageKeys[skippedKeyId].messageKey;
+      delete state.skippedMessageKeys[skippedKeyId];
+    } else {
+      const isCurrentChain = messagePackage.ratchetKey === state.dhReceivingKey;
+      
+      // Verify the message counter to prevent replay attacks
+      if ((isCurrentChain && messagePackage.counter < state.receivingCounter) ||
+          state.previousReceivingKeys.includes(messagePackage.ratchetKey)) {
+        throw new ReplayError('Message already received or its key has expired');
+      }
+      
+      // A new ratchet key from the peer means they switched direction
+      if (!isCurrentChain) {
+        this.skipMessageKeys(state, messagePackage.previousCounter);
+        this.dhRatchetStep(state, messagePackage.ratchetKey);
+      }
+      
+      this.skipMessageKeys(state, messagePackage.counter);
+      
+      [state.receivingChainKey, messageKey] = this.kdfChainKey(state.receivingChainKey);
+      state.receivingCounter += 1;
+    }
+    
+    const messageKeys = this.deriveMessageKeys(messageKey);
+    const version = messagePackage.version || MESSAGE_VERSION_LEGACY;
+    
+    let decrypted;
+    if (version === MESSAGE_VERSION) {
+      decrypted = this.decryptAead(messagePackage, messageKeys.encryptionKey);
+    } else if (version === MESSAGE_VERSION_LEGACY) {
+      decrypted = this.decryptLegacy(messagePackage, messageKeys);
+    } else {
+      throw new Error(`Unsupported message version: ${version}`);
     }
     
+    // The peer has the session now, so stop sending the pre-key header
+    delete state.preKeyHeader;
+    
+    return { decrypted, state };
+  }
+
+  /**
+   * Decrypt an AES-256-GCM message package
+   * @param {Object} messagePackage - Version 2 message package
+   * @param {Buffer} encryptionKey - Key derived from the message key
+   * @returns {string} Decrypted message
+   */
+  decryptAead(messagePackage, encryptionKey) {
+    const tag = decodeAuthTag(messagePackage.tag);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(messagePackage.iv, 'base64'), {
+      authTagLength: AUTH_TAG_LENGTH
+    });
+    decipher.setAAD(encodeMessageHeader(messagePackage));
+    decipher.setAuthTag(tag);
+    
+    try {
+      return Buffer.concat([
+        decipher.update(Buffer.from(messagePackage.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error('Message authentication failed');
+    }
+  }
+
+  /**
+   * Decrypt a legacy AES-CBC + HMAC message package, kept so packages
+   * queued before the switch to AEAD can still be read
+   * @param {Object} messagePackage - Version 1 message package
+   * @param {Object} messageKeys - Encryption and MAC keys
+   * @returns {string} Decrypted message
+   */
+  decryptLegacy(messagePackage, { encryptionKey, macKey }) {
     // Verify the message authentication code
     const providedMac = messagePackage.mac;
-    const calculatedMac = this.calculateMAC({ ...messagePackage, mac: undefined }, session.macKey);
+    const calculatedMac = this.calculateMAC({
+      sessionId: messagePackage.sessionId,
+      ratchetKey: messagePackage.ratchetKey,
+      counter: messagePackage.counter,
+      previousCounter: messagePackage.previousCounter,
+      iv: messagePackage.iv,
+      ciphertext: messagePackage.ciphertext,
+      preKeyHeader: messagePackage.preKeyHeader
+    }, macKey);
     
     if (providedMac !== calculatedMac) {
       throw new Error('Message authentication failed');
@@ -246,56 +1029,609 @@ class SecureMessaging {
     // Decrypt the message
     const iv = Buffer.from(messagePackage.iv, 'base64');
     
-    const decipher = crypto.createDecipheriv('aes-128-cbc', session.encryptionKey, iv);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', encryptionKey, iv);
     let decrypted = decipher.update(messagePackage.ciphertext, 'base64', 'utf8');
     decrypted += decipher.final('utf8');
     
-    // Update session message counter
-    session.messageCounter = messagePackage.counter;
+    return decrypted;
+  }
+
+  /**
+   * Step the receiving chain forward until it reaches the given counter,
+   * storing the keys of skipped messages so they can still be decrypted
+   * @param {Object} session - Session state to update
+   * @param {number} until - Counter of the next expected message
+   */
+  skipMessageKeys(session, until) {
+    if (!session.receivingChainKey) {
+      return;
+    }
+    
+    if (until - session.receivingCounter > this.maxSkip) {
+      throw new Error('Too many skipped messages');
+    }
+    
+    while (session.receivingCounter < until) {
+      let messageKey;
+      [session.receivingChainKey, messageKey] = this.kdfChainKey(session.receivingChainKey);
+      
+      const skippedKeyId = this.getSkippedKeyId(session.dhReceivingKey, session.receivingCounter);
+      session.skippedMessageKeys[skippedKeyId] = {
+        messageKey,
+        createdAt: Date.now()
+      };
+      session.receivingCounter += 1;
+    }
+    
+    this.capSkippedMessageKeys(session);
+  }
+
+  /**
+   * Evict the oldest skipped message keys once the store is full
+   * @param {Object} state - Session or sender key state to update
+   */
+  capSkippedMessageKeys(state) {
+    const skippedKeyIds = Object.keys(state.skippedMessageKeys);
+    const overflow = skippedKeyIds.length - this.maxSkippedKeys;
+    for (let i = 0; i < overflow; i++) {
+      delete state.skippedMessageKeys[skippedKeyIds[i]];
+    }
+  }
+
+  /**
+   * Drop skipped message keys older than the configured maximum age
+   * @param {Object} session - Session state to update
+   */
+  pruneSkippedMessageKeys(session) {
+    const cutoff = Date.now() - this.skippedKeyMaxAge;
+    
+    for (const [skippedKeyId, entry] of Object.entries(session.skippedMessageKeys)) {
+      if (entry.createdAt < cutoff) {
+        delete session.skippedMessageKeys[skippedKeyId];
+      }
+    }
+  }
+
+  /**
+   * Build the lookup key for a skipped message key
+   * @param {string} ratchetKey - Ratchet public key of the chain
+   * @param {number} counter - Message counter within the chain
+   * @returns {string} Lookup key
+   */
+  getSkippedKeyId(ratchetKey, counter) {
+    const chainId = crypto.createHash('sha256').update(ratchetKey).digest('hex').slice(0, 16);
+    return `${chainId}:${counter}`;
+  }
+
+  /**
+   * Create (or replace) our sender key for a group. A new key is needed
+   * whenever a member leaves, so they cannot read later messages.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Our user ID
+   * @param {number} deviceId - Our device ID
+   * @returns {Object} Sender key distribution message for the members
+   */
+  createSenderKey(groupId, userId, deviceId) {
+    const senderKeyId = `${groupId}:${getAddress(userId, deviceId)}`;
+    const previous = this.senderKeys.get(senderKeyId);
+    
+    this.senderKeys.set(senderKeyId, {
+      keyId: previous ? previous.keyId + 1 : 1,
+      chainKey: crypto.randomBytes(32),
+      iteration: 0,
+      signingKeyPair: this.generateKeyPair('ed25519'),
+      distributedTo: []
+    });
+    
+    return this.getSenderKeyDistribution(groupId, userId, deviceId);
+  }
+
+  /**
+   * Get our sender key for a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Our user ID
+   * @param {number} deviceId - Our device ID
+   * @returns {Object|undefined} Sender key state
+   */
+  getSenderKey(groupId, userId, deviceId) {
+    return this.senderKeys.get(`${groupId}:${getAddress(userId, deviceId)}`);
+  }
+
+  /**
+   * Build the distribution message for our current sender key. It carries the
+   * current chain position, so new members cannot read earlier messages.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Our user ID
+   * @param {number} deviceId - Our device ID
+   * @returns {Object} Sender key distribution message
+   */
+  getSenderKeyDistribution(groupId, userId, deviceId) {
+    const senderKey = this.getSenderKey(groupId, userId, deviceId);
+    
+    return {
+      groupId,
+      keyId: senderKey.keyId,
+      chainKey: senderKey.chainKey.toString('base64'),
+      iteration: senderKey.iteration,
+      signingKey: senderKey.signingKeyPair.publicKey
+    };
+  }
+
+  /**
+   * Record which member devices have received our current sender key
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Our user ID
+   * @param {number} deviceId - Our device ID
+   * @param {string[]} addresses - Addresses of the devices the key was sent to
+   */
+  markSenderKeyDistributed(groupId, userId, deviceId, addresses) {
+    const senderKey = this.getSenderKey(groupId, userId, deviceId);
+    senderKey.distributedTo = Array.from(new Set([...senderKey.distributedTo, ...addresses]));
+  }
+
+  /**
+   * Forget that our sender keys reached a device, so they are sent to it
+   * again, e.g. after it replaced its keys and lost the ones it had
+   * @param {string} address - Device address
+   */
+  forgetSenderKeyDistribution(address) {
+    for (const senderKey of this.senderKeys.values()) {
+      if (senderKey.distributedTo) {
+        senderKey.distributedTo = senderKey.distributedTo.filter(recipient => recipient !== address);
+      }
+    }
+  }
+
+  /**
+   * Forget every sender key of a group, ours and other members', after
+   * leaving it
+   * @param {string} groupId - Group ID
+   */
+  forgetGroupSenderKeys(groupId) {
+    for (const senderKeyId of Array.from(this.senderKeys.keys())) {
+      if (senderKeyId.startsWith(`${groupId}:`)) {
+        this.senderKeys.delete(senderKeyId);
+      }
+    }
+  }
+
+  /**
+   * Store a sender key received from another group member
+   * @param {string} senderId - Member that sent the distribution
+   * @param {number} senderDevice - Device of that member the key belongs to
+   * @param {Object} distribution - Sender key distribution message
+   */
+  processSenderKeyDistribution(senderId, senderDevice, distribution) {
+    this.senderKeys.set(`${distribution.groupId}:${getAddress(senderId, senderDevice)}`, {
+      keyId: distribution.keyId,
+      chainKey: Buffer.from(distribution.chainKey, 'base64'),
+      iteration: distribution.iteration,
+      signingKey: distribution.signingKey,
+      skippedMessageKeys: {}
+    });
+  }
+
+  /**
+   * Encrypt a group message once with our sender key
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Our user ID
+   * @param {number} deviceId - Our device ID
+   * @param {string} message - Message to encrypt
+   * @param {number} timestamp - Send time in ms
+   * @returns {Object} Group message for the server to fan out
+   */
+  encryptGroupMessage(groupId, userId, deviceId, message, timestamp) {
+    const senderKey = this.getSenderKey(groupId, userId, deviceId);
+    if (!senderKey) {
+      throw new Error('No sender key for group');
+    }
+    
+    let messageKey;
+    [senderKey.chainKey, messageKey] = this.kdfChainKey(senderKey.chainKey);
+    const { encryptionKey } = this.deriveMessageKeys(messageKey);
+    
+    const groupMessage = {
+      version: GROUP_MESSAGE_VERSION,
+      groupId,
+      sender: userId,
+      senderDevice: deviceId,
+      keyId: senderKey.keyId,
+      iteration: senderKey.iteration,
+      timestamp
+    };
+    
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    cipher.setAAD(encodeGroupMessageHeader(groupMessage));
+    const ciphertext = Buffer.concat([cipher.update(message, 'utf8'), cipher.final()]);
+    
+    groupMessage.iv = iv.toString('base64');
+    groupMessage.ciphertext = ciphertext.toString('base64');
+    groupMessage.tag = cipher.getAuthTag().toString('base64');
+    
+    // Every member holds the chain key, so the signature is what stops one
+    // member from forging messages as another
+    groupMessage.signature = this.sign(this.getGroupSignaturePayload(groupMessage), senderKey.signingKeyPair.privateKey);
+    
+    senderKey.iteration += 1;
+    
+    return groupMessage;
+  }
+
+  /**
+   * Decrypt a group message with the sender's sender key
+   * @param {Object} groupMessage - Group message
+   * @returns {string} Decrypted message
+   */
+  decryptGroupMessage(groupMessage) {
+    if (groupMessage.version !== GROUP_MESSAGE_VERSION) {
+      throw new Error(`Unsupported group message version: ${groupMessage.version}`);
+    }
+    
+    // The sender device is not part of the header, but a relabelled message
+    // would be checked against the wrong sender key and fail verification
+    const senderKeyId = `${groupMessage.groupId}:${getAddress(groupMessage.sender, groupMessage.senderDevice || PRIMARY_DEVICE_ID)}`;
+    const senderKey = this.senderKeys.get(senderKeyId);
+    if (!senderKey || senderKey.keyId !== groupMessage.keyId) {
+      throw new Error(`No matching sender key from ${groupMessage.sender}`);
+    }
+    
+    if (!this.verify(this.getGroupSignaturePayload(groupMessage), groupMessage.signature, senderKey.signingKey)) {
+      throw new Error('Invalid group message signature');
+    }
+    
+    // Work on a copy so a corrupted message leaves the sender key untouched
+    const state = {
+      ...senderKey,
+      skippedMessageKeys: { ...senderKey.skippedMessageKeys }
+    };
+    let messageKey;
     
-    // Update the chain key
-    this.updateChainKey(messagePackage.sessionId);
+    if (state.skippedMessageKeys[groupMessage.iteration]) {
+      messageKey = state.skippedMessageKeys[groupMessage.iteration].messageKey;
+      delete state.skippedMessageKeys[groupMessage.iteration];
+    } else {
+      if (groupMessage.iteration < state.iteration) {
+        throw new ReplayError('Group message already received or its key has expired');
+      }
+      if (groupMessage.iteration - state.iteration > this.maxSkip) {
+        throw new Error('Too many skipped messages');
+      }
+      
+      while (state.iteration < groupMessage.iteration) {
+        let skippedKey;
+        [state.chainKey, skippedKey] = this.kdfChainKey(state.chainKey);
+        state.skippedMessageKeys[state.iteration] = { messageKey: skippedKey, createdAt: Date.now() };
+        state.iteration += 1;
+      }
+      
+      [state.chainKey, messageKey] = this.kdfChainKey(state.chainKey);
+      state.iteration += 1;
+    }
+    
+    // Skipped keys are capped in total as well as per message, as for pairwise sessions
+    this.pruneSkippedMessageKeys(state);
+    this.capSkippedMessageKeys(state);
+    
+    const tag = decodeAuthTag(groupMessage.tag);
+    const { encryptionKey } = this.deriveMessageKeys(messageKey);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(groupMessage.iv, 'base64'), {
+      authTagLength: AUTH_TAG_LENGTH
+    });
+    decipher.setAAD(encodeGroupMessageHeader(groupMessage));
+    decipher.setAuthTag(tag);
+    
+    let decrypted;
+    try {
+      decrypted = Buffer.concat([
+        decipher.update(Buffer.from(groupMessage.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error('Message authentication failed');
+    }
+    
+    this.senderKeys.set(senderKeyId, state);
     
     return decrypted;
   }
 
   /**
-   * Calculate MAC for a message package
-   * @param {Object} messagePackage - Message package to authenticate
-   * @param {Buffer} macKey - Key for MAC calculation
-   * @returns {string} MAC in base64
+   * Build the data covered by a group message signature
+   * @param {Object} groupMessage - Group message
+   * @returns {Buffer} Header followed by the encrypted payload
    */
-  calculateMAC(messagePackage, macKey) {
-    const hmac = crypto.createHmac('sha256', macKey);
-    hmac.update(JSON.stringify(messagePackage));
-    return hmac.digest('base64');
+  getGroupSignaturePayload(groupMessage) {
+    return Buffer.concat([
+      encodeGroupMessageHeader(groupMessage),
+      Buffer.from(groupMessage.iv, 'base64'),
+      Buffer.from(groupMessage.ciphertext, 'base64'),
+      Buffer.from(groupMessage.tag, 'base64')
+    ]);
   }
 
   /**
-   * Update the chain key
-   * @param {string} sessionId - Session ID
+   * Encode a typed payload as the plaintext of a message
+   * @param {Object} payload - Payload with a type ('text', 'attachment', 'reaction', 'edit', 'delete' or a control type)
+   * @returns {string} Plaintext to encrypt
    */
-  updateChainKey(sessionId) {
-    const session = this.sessionKeys.get(sessionId);
-    if (!session) {
-      throw new Error('Session not found');
+  encodePayload(payload) {
+    if (typeof payload.type !== 'string' || !isValidPayload(payload)) {
+      throw new Error(`Invalid ${payload.type} payload`);
+    }
+    return JSON.stringify({ ...payload, v: PAYLOAD_VERSION });
+  }
+
+  /**
+   * Decode the plaintext of a message. Older peers send bare text, or JSON
+   * without a version. Payloads from newer versions, or that are malformed,
+   * come back with type 'unsupported' so callers can skip them.
+   * @param {string} plaintext - Decrypted plaintext
+   * @returns {Object} Typed payload
+   */
+  decodePayload(plaintext) {
+    let payload;
+    try {
+      payload = JSON.parse(plaintext);
+    } catch (error) {
+      return { type: 'text', text: plaintext };
     }
     
-    // Derive new keys from the current chain key
-    const hmac = crypto.createHmac('sha256', Buffer.from('RatchetStep'));
-    hmac.update(session.chainKey);
-    const newKeyMaterial = hmac.digest();
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return { type: 'text', text: plaintext };
+    }
+    if (payload.v !== undefined && payload.v !== PAYLOAD_VERSION) {
+      return { type: 'unsupported', version: payload.v };
+    }
     
-    // Update session keys
-    session.encryptionKey = newKeyMaterial.slice(0, 16);
-    session.macKey = newKeyMaterial.slice(16, 32);
-    session.chainKey = newKeyMaterial.slice(0, 16); // Reuse part of the key material
+    const { v, ...fields } = payload;
+    if (typeof fields.type !== 'string') {
+      // Untyped content from before typed payloads
+      return typeof fields.text === 'string' ? { ...fields, type: 'text' } : { type: 'text', text: plaintext };
+    }
     
-    // Update the session
-    this.sessionKeys.set(sessionId, session);
+    return isValidPayload(fields) ? fields : { type: 'unsupported', version: PAYLOAD_VERSION };
+  }
+
+  /**
+   * Encrypt an attachment under a fresh key. The blob can be stored anywhere;
+   * the key and digest travel to the recipient inside an encrypted message.
+   * @param {Buffer} data - Attachment contents
+   * @returns {Object} Key, SHA-256 digest of the blob, and the blob itself
+   */
+  encryptAttachment(data) {
+    const key = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(ATTACHMENT_IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    
+    const blob = Buffer.concat([iv, cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+    const digest = crypto.createHash('sha256').update(blob).digest();
+    
+    return { key, digest, blob };
+  }
+
+  /**
+   * Check an attachment blob against its digest and decrypt it
+   * @param {Buffer} blob - Downloaded blob
+   * @param {Buffer} key - Attachment key
+   * @param {Buffer} digest - Expected SHA-256 digest of the blob
+   * @returns {Buffer} Attachment contents
+   */
+  decryptAttachment(blob, key, digest) {
+    // The digest catches truncated or corrupted downloads before decrypting
+    const actualDigest = crypto.createHash('sha256').update(blob).digest();
+    if (actualDigest.length !== digest.length || !crypto.timingSafeEqual(actualDigest, digest)) {
+      throw new Error('Attachment digest does not match');
+    }
+    if (blob.length < ATTACHMENT_IV_LENGTH + ATTACHMENT_TAG_LENGTH) {
+      throw new Error('Attachment is too short');
+    }
+    
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, blob.subarray(0, ATTACHMENT_IV_LENGTH));
+    decipher.setAuthTag(blob.subarray(blob.length - ATTACHMENT_TAG_LENGTH));
+    
+    try {
+      return Buffer.concat([
+        decipher.update(blob.subarray(ATTACHMENT_IV_LENGTH, blob.length - ATTACHMENT_TAG_LENGTH)),
+        decipher.final()
+      ]);
+    } catch (error) {
+      throw new Error('Attachment authentication failed');
+    }
+  }
+
+  /**
+   * Get the identity key of the account this device belongs to, which is
+   * what peers trust and compare safety numbers for
+   * @returns {string} Account identity public key
+   */
+  getAccountIdentityKey() {
+    return this.deviceCertificate ? this.deviceCertificate.accountIdentityKey : this.identityKeyPair.publicKey;
+  }
+
+  /**
+   * Certify another device's keys for our account. Only the primary device,
+   * which holds the account identity key, can do this.
+   * @param {string} userId - Our user ID
+   * @param {number} deviceId - ID the server assigned to the new device
+   * @param {string} identityKey - New device's identity public key
+   * @param {string} identityDhKey - New device's identity DH public key
+   * @returns {Object} Signed device certificate
+   */
+  createDeviceCertificate(userId, deviceId, identityKey, identityDhKey) {
+    if (this.deviceCertificate) {
+      throw new Error('Only the primary device can link new devices');
+    }
+    
+    const certificate = {
+      userId,
+      deviceId,
+      identityKey,
+      identityDhKey,
+      accountIdentityKey: this.identityKeyPair.publicKey,
+      issuedAt: Date.now()
+    };
+    certificate.signature = this.sign(getDeviceCertificatePayload(certificate), this.identityKeyPair.privateKey);
+    
+    return certificate;
+  }
+
+  /**
+   * Work out which account identity key a device speaks for. The primary
+   * device uses the account key itself; other devices must present a
+   * certificate signed by it.
+   * @param {string} userId - User the device claims to belong to
+   * @param {number} deviceId - Device ID
+   * @param {string} identityKey - Device identity public key
+   * @param {Object|null} deviceCertificate - Certificate presented by the device
+   * @returns {string} Account identity public key
+   */
+  verifyDeviceIdentity(userId, deviceId, identityKey, deviceCertificate) {
+    if (!deviceCertificate) {
+      if (deviceId !== PRIMARY_DEVICE_ID) {
+        throw new Error(`Device ${deviceId} of ${userId} has no device certificate`);
+      }
+      return identityKey;
+    }
+    
+    const matches = deviceCertificate.userId === userId &&
+      deviceCertificate.deviceId === deviceId &&
+      deviceCertificate.identityKey === identityKey;
+    
+    if (!matches || !this.verify(getDeviceCertificatePayload(deviceCertificate),
+      deviceCertificate.signature, deviceCertificate.accountIdentityKey)) {
+      throw new Error(`Invalid device certificate for device ${deviceId} of ${userId}`);
+    }
+    
+    return deviceCertificate.accountIdentityKey;
+  }
+
+  /**
+   * Derive the envelope key for sealed sender from an X25519 exchange with
+   * the recipient's identity key
+   * @param {Buffer} sharedSecret - DH output
+   * @param {string} ephemeralKey - Envelope ephemeral public key
+   * @param {string} recipientIdentityDhKey - Recipient identity DH public key
+   * @returns {Object} Envelope key and associated data
+   */
+  deriveSealedSenderKey(sharedSecret, ephemeralKey, recipientIdentityDhKey) {
+    const associatedData = Buffer.concat([
+      Buffer.from([SEALED_SENDER_VERSION]),
+      encodeField(ephemeralKey),
+      encodeField(recipientIdentityDhKey)
+    ]);
+    const key = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, associatedData, 'SecureMessagingSealedSender', 32));
+    
+    return { key, associatedData };
+  }
+
+  /**
+   * Wrap a message package so that only the recipient learns who sent it
+   * @param {Object} messagePackage - Encrypted message package
+   * @param {Object} certificate - Sender certificate
+   * @param {string} recipientIdentityDhKey - Recipient identity DH public key
+   * @returns {Object} Sealed envelope
+   */
+  sealMessage(messagePackage, certificate, recipientIdentityDhKey) {
+    const ephemeralKeyPair = this.generateKeyPair();
+    const { key, associatedData } = this.deriveSealedSenderKey(
+      this.dh(ephemeralKeyPair.privateKey, recipientIdentityDhKey),
+      ephemeralKeyPair.publicKey,
+      recipientIdentityDhKey
+    );
+    
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(associatedData);
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify({ certificate, message: messagePackage }), 'utf8'),
+      cipher.final()
+    ]);
+    
+    return {
+      version: SEALED_SENDER_VERSION,
+      ephemeralKey: ephemeralKeyPair.publicKey,
+      iv: iv.toString('base64'),
+      ciphertext: ciphertext.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  /**
+   * Open a sealed envelope and check the sender certificate inside it
+   * @param {Object} envelope - Sealed envelope
+   * @param {string} certificateKey - Server public key that signs sender certificates
+   * @returns {Object} Sender certificate and the inner message package
+   */
+  unsealMessage(envelope, certificateKey) {
+    if (envelope.version !== SEALED_SENDER_VERSION) {
+      throw new Error(`Unsupported sealed sender version: ${envelope.version}`);
+    }
+    
+    const { key, associatedData } = this.deriveSealedSenderKey(
+      this.dh(this.identityDhKeyPair.privateKey, envelope.ephemeralKey),
+      envelope.ephemeralKey,
+      this.identityDhKeyPair.publicKey
+    );
+    
+    let content;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'), {
+        authTagLength: AUTH_TAG_LENGTH
+      });
+      decipher.setAAD(associatedData);
+      decipher.setAuthTag(decodeAuthTag(envelope.tag));
+      content = JSON.parse(Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8'));
+    } catch (error) {
+      throw new Error('Sealed envelope authentication failed');
+    }
+    
+    const { certificate, message } = content;
+    
+    // Only the server can vouch for the sender: anyone may hold the
+    // recipient's delivery token
+    if (!certificate || typeof certificate.signature !== 'string' ||
+        !this.verify(getSenderCertificatePayload(certificate), certificate.signature, certificateKey)) {
+      throw new Error('Invalid sender certificate');
+    }
+    if (certificate.expires < Date.now()) {
+      throw new Error('Sender certificate has expired');
+    }
+    // The inner message is authenticated under the sender's session, so the
+    // certificate must name the same sender
+    if (message.sender !== certificate.sender ||
+        (message.senderDevice || PRIMARY_DEVICE_ID) !== (certificate.senderDevice || PRIMARY_DEVICE_ID)) {
+      throw new Error('Sender certificate does not match message sender');
+    }
+    
+    return { certificate, messagePackage: message };
+  }
+
+  /**
+   * Calculate MAC for a message package
+   * @param {Object} messagePackage - Message package to authenticate
+   * @param {Buffer} macKey - Key for MAC calculation
+   * @returns {string} MAC in base64
+   */
+  calculateMAC(messagePackage, macKey) {
+    const hmac = crypto.createHmac('sha256', macKey);
+    hmac.update(JSON.stringify(messagePackage));
+    return hmac.digest('base64');
   }
 }
 
 module.exports = {
-  SecureMessaging
+  SecureMessaging,
+  ReplayError,
+  PRIMARY_DEVICE_ID,
+  PAYLOAD_VERSION,
+  getAddress,
+  getContactHash,
+  getSignedPreKeyPayload,
+  getDeviceCertificatePayload,
+  getSenderCertificatePayload,
+  isValidPayload
 };
\ No newline at end of file
@@ -0,0 +1,199 @@
+// secure-messaging-trust-store.js
+const crypto = require('crypto');
+
+// Fingerprint parameters, following Signal's numeric fingerprint scheme
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+
+/**
+ * IdentityChangedError - Raised when a peer presents an identity key that
+ * differs from the one we trusted before
+ */
+class IdentityChangedError extends Error {
+  constructor(userId) {
+    super(`Identity key of ${userId} has changed. Compare safety numbers with "verify ${userId}" ` +
+      `and accept the new key with "trust ${userId}"`);
+    this.name = 'IdentityChangedError';
+    this.userId = userId;
+  }
+}
+
+/**
+ * RevokedIdentityError - Raised when a peer presents an identity key that
+ * the peer itself revoked earlier
+ */
+class RevokedIdentityError extends Error {
+  constructor(userId) {
+    super(`${userId} presented an identity key they revoked; it will not be trusted again`);
+    this.name = 'RevokedIdentityError';
+    this.userId = userId;
+  }
+}
+
+/**
+ * Compute the 30-digit fingerprint of one party
+ * @param {string} userId - User identifier
+ * @param {string} identityKey - Identity public key (PEM)
+ * @returns {string} 30 decimal digits
+ */
+function computeFingerprint(userId, identityKey) {
+  const keyBytes = crypto.createPublicKey(identityKey).export({ type: 'spki', format: 'der' });
+  const version = Buffer.alloc(2);
+  version.writeUInt16BE(FINGERPRINT_VERSION);
+  
+  let hash = Buffer.concat([version, keyBytes, Buffer.from(userId, 'utf8')]);
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = crypto.createHash('sha512').update(Buffer.concat([hash, keyBytes])).digest();
+  }
+  
+  // Six chunks of five bytes, each reduced to five digits
+  let digits = '';
+  for (let offset = 0; offset < 30; offset += 5) {
+    const chunk = hash.readUIntBE(offset, 5) % 100000;
+    digits += String(chunk).padStart(5, '0');
+  }
+  return digits;
+}
+
+/**
+ * Compute the safety number shared by two users. Both sides get the same
+ * number because the two fingerprints are ordered by user ID.
+ * @param {string} localUserId - Our user ID
+ * @param {string} localIdentityKey - Our identity public key
+ * @param {string} remoteUserId - Peer user ID
+ * @param {string} remoteIdentityKey - Peer identity public key
+ * @returns {string} 60 digits in groups of five
+ */
+function computeSafetyNumber(localUserId, localIdentityKey, remoteUserId, remoteIdentityKey) {
+  const fingerprints = [
+    [localUserId, computeFingerprint(localUserId, localIdentityKey)],
+    [remoteUserId, computeFingerprint(remoteUserId, remoteIdentityKey)]
+  ].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+  
+  const digits = fingerprints.map(([, fingerprint]) => fingerprint).join('');
+  return digits.match(/.{5}/g).join(' ');
+}
+
+/**
+ * TrustStore - Peers' identity keys, trusted on first use. Keys a peer
+ * revoked are remembered so they are never accepted again.
+ */
+class TrustStore {
+  /**
+   * @param {Array} entries - Entries previously returned by export()
+   */
+  constructor(entries = []) {
+    this.identities = new Map(entries);
+  }
+
+  /**
+   * Check a peer's identity key, remembering it if we have never seen the peer
+   * @param {string} userId - Peer user ID
+   * @param {string} identityKey - Identity key presented for the peer
+   * @returns {boolean} True if the key was seen for the first time
+   */
+  checkIdentity(userId, identityKey) {
+    const entry = this.identities.get(userId);
+    
+    if (entry && (entry.revokedIdentityKeys || []).includes(identityKey)) {
+      throw new RevokedIdentityError(userId);
+    }
+    
+    if (!entry) {
+      this.identities.set(userId, {
+        identityKey,
+        verified: false,
+        firstSeen: Date.now()
+      });
+      return true;
+    }
+    
+    // After a revocation, any key is a change the user has to accept
+    if (entry.identityKey !== identityKey || entry.revoked) {
+      // Keep the new key aside so the user can compare and accept it
+      entry.pendingIdentityKey = identityKey;
+      throw new IdentityChangedError(userId);
+    }
+    
+    return false;
+  }
+
+  /**
+   * Get the stored entry for a peer
+   * @param {string} userId - Peer user ID
+   * @returns {Object|undefined} Trust entry
+   */
+  get(userId) {
+    return this.identities.get(userId);
+  }
+
+  /**
+   * Mark a peer's current identity key as verified out of band
+   * @param {string} userId - Peer user ID
+   */
+  markVerified(userId) {
+    const entry = this.identities.get(userId);
+    if (!entry) {
+      throw new Error(`No identity key known for ${userId}`);
+    }
+    
+    entry.verified = true;
+    entry.verifiedAt = Date.now();
+  }
+
+  /**
+   * Replace a peer's identity key with the changed key it presented
+   * @param {string} userId - Peer user ID
+   */
+  acceptPendingIdentity(userId) {
+    const entry = this.identities.get(userId);
+    if (!entry || !entry.pendingIdentityKey) {
+      throw new Error(`No identity change pending for ${userId}`);
+    }
+    
+    this.identities.set(userId, {
+      identityKey: entry.pendingIdentityKey,
+      verified: false,
+      firstSeen: Date.now(),
+      revokedIdentityKeys: entry.revokedIdentityKeys || []
+    });
+  }
+
+  /**
+   * Record that a peer revoked their identity key. The key is never
+   * accepted again, and the next one has to be accepted like a changed key.
+   * @param {string} userId - Peer user ID
+   * @returns {boolean} True if we knew the peer's key
+   */
+  markRevoked(userId) {
+    const entry = this.identities.get(userId);
+    if (!entry) {
+      return false;
+    }
+    if (entry.revoked) {
+      return true;
+    }
+    
+    entry.revokedIdentityKeys = [...(entry.revokedIdentityKeys || []), entry.identityKey];
+    entry.revoked = true;
+    entry.verified = false;
+    delete entry.pendingIdentityKey;
+    return true;
+  }
+
+  /**
+   * Export the entries for persistence
+   * @returns {Array} Entries suitable for the constructor
+   */
+  export() {
+    return Array.from(this.identities.entries());
+  }
+}
+
+module.exports = {
+  TrustStore,
+  IdentityChangedError,
+  RevokedIdentityError,
+  computeFingerprint,
+  computeSafetyNumber
+};
\ No newline at end of file
@@ -0,0 +1,263 @@
+// secure-messaging-validation.js
+
+// New user IDs: letters, digits, '_' and '-', starting with a letter or
+// digit. This keeps them out of device addresses ('user.device'), group
+// conversation IDs ('group:id') and file names, and rules out keys such as
+// '__proto__'.
+const USER_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+
+// User IDs that refer to existing accounts are only limited in length, so
+// accounts created before the format rules still work
+const MAX_USER_ID_LENGTH = 64;
+
+// Largest accepted identifier, link code, token and so on
+const MAX_STRING_LENGTH = 256;
+
+// Largest accepted PEM public key
+const MAX_KEY_LENGTH = 1024;
+
+// Arrays hold at most this many items unless a schema says otherwise
+const DEFAULT_MAX_ARRAY_LENGTH = 1000;
+
+const PUBLIC_KEY_PATTERN = /^-----BEGIN PUBLIC KEY-----\n[A-Za-z0-9+/=\n]+-----END PUBLIC KEY-----\n?$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+
+/**
+ * ValidationError - Raised for request bodies that do not match their schema
+ */
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// Checks for the primitive types a schema can name, with what they expect
+// and their JSON Schema equivalent
+const TYPES = {
+  string: {
+    description: `a string of at most ${MAX_STRING_LENGTH} characters`,
+    test: value => typeof value === 'string' && value.length > 0 && value.length <= MAX_STRING_LENGTH,
+    jsonSchema: { type: 'string', minLength: 1, maxLength: MAX_STRING_LENGTH }
+  },
+  userId: {
+    description: 'a user ID',
+    test: value => typeof value === 'string' && value.length > 0 && value.length <= MAX_USER_ID_LENGTH,
+    jsonSchema: { type: 'string', minLength: 1, maxLength: MAX_USER_ID_LENGTH }
+  },
+  key: {
+    description: 'a PEM public key',
+    test: value => typeof value === 'string' && value.length <= MAX_KEY_LENGTH && PUBLIC_KEY_PATTERN.test(value),
+    jsonSchema: { type: 'string', maxLength: MAX_KEY_LENGTH, pattern: PUBLIC_KEY_PATTERN.source }
+  },
+  base64: {
+    description: 'base64',
+    test: value => typeof value === 'string' && value.length % 4 === 0 && BASE64_PATTERN.test(value),
+    jsonSchema: { type: 'string', format: 'byte' }
+  },
+  hex: {
+    description: 'hex',
+    test: value => typeof value === 'string' && value.length <= MAX_STRING_LENGTH && HEX_PATTERN.test(value),
+    jsonSchema: { type: 'string', maxLength: MAX_STRING_LENGTH, pattern: '^[0-9a-fA-F]+$' }
+  },
+  integer: {
+    description: 'a non-negative integer',
+    test: value => Number.isSafeInteger(value) && value >= 0,
+    jsonSchema: { type: 'integer', minimum: 0 }
+  }
+};
+
+/**
+ * Check whether a user ID may be used for a new account
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user ID has the required format
+ */
+function isValidUserId(userId) {
+  return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+}
+
+/**
+ * Mark a schema field as one that may be left out. Wrap nullable() in
+ * optional(), not the other way round.
+ * @param {string|Object} schema - Field schema
+ * @returns {Object} Optional field schema
+ */
+function optional(schema) {
+  return { optional: true, schema };
+}
+
+/**
+ * Mark a schema field as one that may be null
+ * @param {string|Object} schema - Field schema
+ * @returns {Object} Nullable field schema
+ */
+function nullable(schema) {
+  return { nullable: true, schema };
+}
+
+/**
+ * Describe an array field
+ * @param {string|Object} items - Schema of each item
+ * @param {number} maxLength - Maximum number of items
+ * @returns {Object} Array schema
+ */
+function arrayOf(items, maxLength = DEFAULT_MAX_ARRAY_LENGTH) {
+  return { items, maxLength };
+}
+
+/**
+ * Check a value against a schema. A schema is the name of a primitive type,
+ * an optional(), nullable() or arrayOf() wrapper, or a plain object giving
+ * the schema of each field; objects may not have any other fields.
+ * @param {*} value - Value to check
+ * @param {string|Object} schema - Schema it must match
+ * @param {string} name - Name of the value, for error messages
+ * @throws {ValidationError} If the value does not match
+ */
+function validate(value, schema, name) {
+  if (typeof schema === 'string') {
+    if (!TYPES[schema].test(value)) {
+      throw new ValidationError(`${name} must be ${TYPES[schema].description}`);
+    }
+    return;
+  }
+  
+  if (schema.nullable) {
+    if (value !== null) {
+      validate(value, schema.schema, name);
+    }
+    return;
+  }
+  if (schema.optional) {
+    validate(value, schema.schema, name);
+    return;
+  }
+  
+  if (schema.items) {
+    if (!Array.isArray(value)) {
+      throw new ValidationError(`${name} must be an array`);
+    }
+    if (value.length > schema.maxLength) {
+      throw new ValidationError(`${name} must have at most ${schema.maxLength} items`);
+    }
+    value.forEach((item, index) => validate(item, schema.items, `${name}[${index}]`));
+    return;
+  }
+  
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new ValidationError(`${name} must be an object`);
+  }
+  
+  // Object.keys includes own '__proto__' keys, which JSON.parse can create
+  const unknownField = Object.keys(value).find(field => !Object.prototype.hasOwnProperty.call(schema, field));
+  if (unknownField !== undefined) {
+    throw new ValidationError(`Unknown field ${name}.${unknownField}`);
+  }
+  
+  for (const [field, fieldSchema] of Object.entries(schema)) {
+    if (value[field] === undefined) {
+      if (!fieldSchema.optional) {
+        throw new ValidationError(`Missing field ${name}.${field}`);
+      }
+    } else {
+      validate(value[field], fieldSchema, `${name}.${field}`);
+    }
+  }
+}
+
+/**
+ * Parse a JSON request body and check it against a schema
+ * @param {string} body - Raw request body
+ * @param {Object} schema - Schema of the body's fields
+ * @returns {Object} Parsed body
+ * @throws {ValidationError} If the body is not JSON or does not match
+ */
+function parseBody(body, schema) {
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch (error) {
+    throw new ValidationError('Request body is not valid JSON');
+  }
+  
+  validate(value, schema, 'body');
+  return value;
+}
+
+/**
+ * Convert path or query string values to the types their schema asks for
+ * (integers, and comma-separated arrays) and check them
+ * @param {Object} values - String values by name
+ * @param {Object} schema - Schema of the values
+ * @param {string} name - Name of the values, for error messages
+ * @returns {Object} Converted values
+ * @throws {ValidationError} If the values do not match
+ */
+function parseStrings(values, schema, name) {
+  const converted = {};
+  
+  for (const [field, value] of Object.entries(values)) {
+    let fieldSchema = schema[field];
+    while (fieldSchema && (fieldSchema.optional || fieldSchema.nullable)) {
+      fieldSchema = fieldSchema.schema;
+    }
+    
+    converted[field] = fieldSchema && fieldSchema.items
+      ? (value === '' ? [] : value.split(',')).map(item => convertString(item, fieldSchema.items))
+      : convertString(value, fieldSchema);
+  }
+  
+  validate(converted, schema, name);
+  return converted;
+}
+
+/**
+ * Convert a single string value for parseStrings
+ * @param {string} value - String value
+ * @param {string|Object} schema - Schema it must match
+ * @returns {*} Number for integer fields, otherwise the string itself
+ */
+function convertString(value, schema) {
+  return schema === 'integer' && /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Describe a schema as JSON Schema, e.g. for API documentation
+ * @param {string|Object} schema - Schema
+ * @returns {Object} JSON Schema (in the OpenAPI 3.0 dialect)
+ */
+function toJsonSchema(schema) {
+  if (typeof schema === 'string') {
+    return { ...TYPES[schema].jsonSchema };
+  }
+  if (schema.nullable) {
+    return { ...toJsonSchema(schema.schema), nullable: true };
+  }
+  if (schema.optional) {
+    return toJsonSchema(schema.schema);
+  }
+  if (schema.items) {
+    return { type: 'array', items: toJsonSchema(schema.items), maxItems: schema.maxLength };
+  }
+  
+  const required = Object.keys(schema).filter(field => !schema[field].optional);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(schema).map(([field, fieldSchema]) => [field, toJsonSchema(fieldSchema)])),
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: false
+  };
+}
+
+module.exports = {
+  ValidationError,
+  isValidUserId,
+  optional,
+  nullable,
+  arrayOf,
+  validate,
+  parseBody,
+  parseStrings,
+  toJsonSchema
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+// test/secure-messaging-server.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server keeps its key and attachment files next to its code, so each
+// run works on a copy of the modules in a temporary directory
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-messaging-server-'));
+const sourceDirectory = path.join(__dirname, '..');
+fs.readdirSync(sourceDirectory)
+  .filter(name => name.endsWith('.js'))
+  .forEach(name => fs.copyFileSync(path.join(sourceDirectory, name), path.join(directory, name)));
+
+let server;
+let port;
+
+test.before(() => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [path.join(directory, 'secure-messaging-server.js'), '--port', '0', '--storage', 'memory'], {
+    cwd: directory,
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  server.on('error', reject);
+  server.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  
+  let output = '';
+  server.stdout.on('data', (chunk) => {
+    output += chunk;
+    const match = output.match(/running on port (\d+)/);
+    if (match && !port) {
+      port = Number(match[1]);
+      resolve();
+    }
+  });
+}));
+
+test.after(() => {
+  if (server) {
+    server.removeAllListeners('exit');
+    server.kill();
+  }
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Send a request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Path including the /v1 prefix
+ * @param {string} body - Raw request body
+ * @returns {Promise<Object>} Status, headers and parsed JSON body of the response
+ */
+function request(method, endpoint, body = '') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: endpoint, headers: { 'Content-Type': 'application/json' } }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+    });
+    
+    // The server drops the connection after refusing a body that is too large
+    req.on('error', (error) => {
+      if (!req.res) {
+        reject(error);
+      }
+    });
+    req.end(body);
+  });
+}
+
+test('a malformed body is rejected with 400', async () => {
+  const response = await request('PUT', '/v1/users/ann/devices/1', '{"identityKey":');
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.code, 'invalid_request');
+});
+
+test('a body with a field of the wrong type is rejected with 400', async () => {
+  const response = await request('PUT', '/v1/users/ann/devices/1', JSON.stringify({ identityKey: 5 }));
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.code, 'invalid_request');
+  assert.match(response.body.error, /identityKey/);
+});
+
+test('a body larger than the limit is rejected with 413', async () => {
+  const response = await request('POST', '/v1/contacts/discover', JSON.stringify({ hashes: ['a'.repeat(300 * 1024)] }));
+  
+  assert.strictEqual(response.status, 413);
+  assert.strictEqual(response.body.code, 'payload_too_large');
+});
+
+test('too many requests from one address are rejected with 429', async () => {
+  let response;
+  for (let i = 0; i < 20; i++) {
+    response = await request('PUT', '/v1/users/ann/devices/1', '{}');
+    if (response.status === 429) {
+      break;
+    }
+    assert.strictEqual(response.status, 400);
+  }
+  
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual(response.body.code, 'rate_limited');
+  assert.ok(Number(response.headers['retry-after']) >= 1);
+});
\ No newline at end of file
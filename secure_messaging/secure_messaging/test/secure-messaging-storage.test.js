@@ -0,0 +1,117 @@
+// test/secure-messaging-storage.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LogStorage } = require('../secure-messaging-storage');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-messaging-storage-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Build a user record as version 1 stored it, with the keys of its only device
+ * @param {string} userId - User ID
+ * @returns {Object} Version 1 user record
+ */
+function legacyUser(userId) {
+  return {
+    userId,
+    identityKey: `${userId}-identity`,
+    identityDhKey: `${userId}-identity-dh`,
+    preKeyId: 1,
+    preKey: `${userId}-pre-key`,
+    preKeyTimestamp: 1,
+    signature: `${userId}-signature`
+  };
+}
+
+/**
+ * Write a log file, one record per line
+ * @param {string} filePath - Log location
+ * @param {Object[]} records - Log records
+ */
+function writeLog(filePath, records) {
+  fs.writeFileSync(filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+}
+
+/**
+ * Read the records of a log file
+ * @param {string} filePath - Log location
+ * @returns {Object[]} Log records
+ */
+function readLog(filePath) {
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Check the state written by the version 1 log below
+ * @param {LogStorage} storage - Storage loaded from it
+ */
+function assertUpgraded(storage) {
+  assert.deepStrictEqual(storage.listUserIds().sort(), ['ann', 'ben']);
+  assert.deepStrictEqual(storage.getUser('ann'), { userId: 'ann', identityKey: 'ann-identity', nextDeviceId: 2, revokedDevices: [] });
+  assert.strictEqual(storage.getDevice('ann', 1).identityDhKey, 'ann-identity-dh');
+  assert.strictEqual(storage.getDevice('ben', 1).preKeyId, 2);
+  assert.strictEqual(storage.countOneTimePreKeys('ann', 1), 1);
+  assert.strictEqual(storage.countOneTimePreKeys('ben', 1), 1);
+  assert.deepStrictEqual(storage.getMessages('ann', 1), [{ id: 'm2' }]);
+  assert.deepStrictEqual(storage.getMessages('ben', 1), [{ id: 'm3' }]);
+}
+
+test('a version 1 log is upgraded to one device per user and rewritten', async () => {
+  const filePath = path.join(directory, 'legacy.log');
+  writeLog(filePath, [
+    {
+      op: 'snapshot',
+      state: {
+        users: [['ann', legacyUser('ann')]],
+        oneTimePreKeys: [['ann', [{ keyId: 1, publicKey: 'a1' }, { keyId: 2, publicKey: 'a2' }]]],
+        messages: [['ann', [{ id: 'm1' }, { id: 'm2' }]]],
+        groups: []
+      }
+    },
+    { op: 'putUser', args: ['ben', legacyUser('ben'), [{ keyId: 1, publicKey: 'b1' }]] },
+    { op: 'updateUser', args: ['ben', { preKeyId: 2 }] },
+    { op: 'enqueueMessage', args: ['ben', { id: 'm3' }] },
+    { op: 'takeOneTimePreKey', args: ['ann'] },
+    { op: 'ackMessages', args: ['ann', ['m1']] }
+  ]);
+  
+  const storage = new LogStorage(filePath);
+  assertUpgraded(storage);
+  await storage.close();
+  
+  const reloaded = new LogStorage(filePath);
+  assertUpgraded(reloaded);
+  await reloaded.close();
+  
+  // The rewritten log declares the current format and holds a single snapshot
+  const records = readLog(filePath);
+  assert.deepStrictEqual(records.map(record => record.op), ['format', 'snapshot']);
+  assert.strictEqual(records[0].version, 2);
+});
+
+test('records appended after an upgrade are replayed in the current format', async () => {
+  const filePath = path.join(directory, 'appended.log');
+  writeLog(filePath, [{ op: 'putUser', args: ['ann', legacyUser('ann'), []] }]);
+  
+  const storage = new LogStorage(filePath);
+  storage.enqueueMessage('ann', 1, { id: 'm1' });
+  await storage.close();
+  
+  const reloaded = new LogStorage(filePath);
+  assert.deepStrictEqual(reloaded.getMessages('ann', 1), [{ id: 'm1' }]);
+  await reloaded.close();
+});
+
+test('a half-written last record is dropped', async () => {
+  const filePath = path.join(directory, 'truncated.log');
+  writeLog(filePath, [{ op: 'format', version: 2 }]);
+  fs.appendFileSync(filePath, '{"op":"putUser","args":["ann"');
+  
+  const storage = new LogStorage(filePath);
+  assert.strictEqual(storage.isEmpty(), true);
+  await storage.close();
+  assert.deepStrictEqual(readLog(filePath), [{ op: 'format', version: 2 }]);
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+// test/secure-messaging-system.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { SecureMessaging, ReplayError } = require('../secure-messaging-system');
+
+/**
+ * Create a user's keys, with a few one-time pre-keys
+ * @returns {Promise<SecureMessaging>} Initialized instance
+ */
+async function createUser() {
+  const messaging = new SecureMessaging({ oneTimePreKeyCount: 3 });
+  await messaging.initialize();
+  return messaging;
+}
+
+/**
+ * Build the bundle the server would hand out for a user, with its first
+ * one-time pre-key
+ * @param {SecureMessaging} messaging - Recipient
+ * @param {string} userId - Recipient user ID
+ * @returns {Object} Pre-key bundle
+ */
+function getBundle(messaging, userId) {
+  const { oneTimePreKeys, ...bundle } = messaging.register(userId);
+  return { ...bundle, deviceId: 1, oneTimePreKey: oneTimePreKeys[0] };
+}
+
+/**
+ * Encrypt a text message on a session
+ * @param {SecureMessaging} messaging - Sender
+ * @param {string} sessionId - Session ID
+ * @param {string} sender - Sender user ID
+ * @param {string} recipient - Recipient user ID
+ * @param {string} text - Message text
+ * @returns {Object} Encrypted message package
+ */
+function send(messaging, sessionId, sender, recipient, text) {
+  return messaging.encryptMessage(sessionId, text, { sender, recipient, senderDevice: 1, recipientDevice: 1, timestamp: Date.now() });
+}
+
+/**
+ * Start a session from alice to bob and have bob accept it
+ * @returns {Promise<Object>} Both users and their session ID
+ */
+async function startSession() {
+  const alice = await createUser();
+  const bob = await createUser();
+  const sessionId = alice.establishSession('bob', getBundle(bob, 'bob'));
+  const first = send(alice, sessionId, 'alice', 'bob', 'hello bob');
+  
+  assert.strictEqual(bob.acceptSession('alice', first, 1), 'hello bob');
+  return { alice, bob, sessionId, first };
+}
+
+test('messages round-trip in both directions', async () => {
+  const { alice, bob, sessionId } = await startSession();
+  
+  for (let i = 0; i < 3; i++) {
+    const reply = send(bob, sessionId, 'bob', 'alice', `reply ${i}`);
+    assert.strictEqual(alice.decryptMessage(reply), `reply ${i}`);
+    
+    const next = send(alice, sessionId, 'alice', 'bob', `message ${i}`);
+    assert.strictEqual(next.preKeyHeader, undefined);
+    assert.strictEqual(bob.decryptMessage(next), `message ${i}`);
+  }
+});
+
+test('messages delivered out of order still decrypt', async () => {
+  const { alice, bob, sessionId } = await startSession();
+  const packages = ['one', 'two', 'three'].map(text => send(alice, sessionId, 'alice', 'bob', text));
+  
+  assert.strictEqual(bob.decryptMessage(packages[2]), 'three');
+  assert.strictEqual(bob.decryptMessage(packages[0]), 'one');
+  assert.strictEqual(bob.decryptMessage(packages[1]), 'two');
+});
+
+test('accepting a session uses up the one-time pre-key', async () => {
+  const alice = await createUser();
+  const bob = await createUser();
+  const bundle = getBundle(bob, 'bob');
+  const sessionId = alice.establishSession('bob', bundle);
+  
+  bob.acceptSession('alice', send(alice, sessionId, 'alice', 'bob', 'hi'), 1);
+  assert.strictEqual(bob.oneTimePreKeys.has(bundle.oneTimePreKey.keyId), false);
+});
+
+test('a replayed message is rejected with ReplayError', async () => {
+  const { alice, bob, sessionId, first } = await startSession();
+  const message = send(alice, sessionId, 'alice', 'bob', 'once');
+  
+  assert.strictEqual(bob.decryptMessage(message), 'once');
+  assert.throws(() => bob.decryptMessage(message), ReplayError);
+  assert.throws(() => bob.decryptMessage(first), ReplayError);
+});
+
+test('a replay of a skipped message is rejected once it has been read', async () => {
+  const { alice, bob, sessionId } = await startSession();
+  const skipped = send(alice, sessionId, 'alice', 'bob', 'skipped');
+  const latest = send(alice, sessionId, 'alice', 'bob', 'latest');
+  
+  assert.strictEqual(bob.decryptMessage(latest), 'latest');
+  assert.strictEqual(bob.decryptMessage(skipped), 'skipped');
+  assert.throws(() => bob.decryptMessage(skipped), ReplayError);
+});
+
+test('a message with a changed header does not decrypt', async () => {
+  const { alice, bob, sessionId } = await startSession();
+  const message = send(alice, sessionId, 'alice', 'bob', 'original');
+  
+  assert.throws(() => bob.decryptMessage({ ...message, timestamp: message.timestamp + 1 }), (error) => {
+    return !(error instanceof ReplayError);
+  });
+  assert.strictEqual(bob.decryptMessage(message), 'original');
+});
+
+test('a pre-key message that does not decrypt leaves no session behind', async () => {
+  const alice = await createUser();
+  const bob = await createUser();
+  const bundle = getBundle(bob, 'bob');
+  const sessionId = alice.establishSession('bob', bundle);
+  const first = send(alice, sessionId, 'alice', 'bob', 'hello');
+  const tampered = { ...first, ciphertext: Buffer.alloc(Buffer.from(first.ciphertext, 'base64').length).toString('base64') };
+  
+  assert.throws(() => bob.acceptSession('alice', tampered, 1));
+  assert.strictEqual(bob.sessionKeys.size, 0);
+  assert.strictEqual(bob.oneTimePreKeys.has(bundle.oneTimePreKey.keyId), true);
+  assert.strictEqual(bob.acceptSession('alice', first, 1), 'hello');
+});
\ No newline at end of file